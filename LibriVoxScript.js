@@ -1,1435 +1,5817 @@
-/**
- * LibriVox Plugin for Grayjay
- *
- * This plugin enables browsing, searching, and listening to free public domain audiobooks
- * from LibriVox. It prioritizes latest releases and provides access to the complete catalog.
- */
-
-// ---------------------- Constants ----------------------
-const PLATFORM = 'librivox';
-
-// API and URL Constants
-let URLS = {
-    BASE: 'https://librivox.org',
-    AUTHOR_BASE: 'https://librivox.org/author',
-    READER_BASE: 'https://librivox.org/reader',
-
-    ARCHIVE_VIEWS: 'https://be-api.us.archive.org/views/v1/short',
-};
-
-// Default images
-const DEFAULT_IMAGES = {
-    BOOK_COVER: 'https://grayjay-plugin-librivox.craftwithstefan.com/assets/default-book-cover.png',
-    AUTHOR_AVATAR: 'https://grayjay-plugin-librivox.craftwithstefan.com/LibriVoxIcon.png',
-    READER_AVATAR: 'https://grayjay-plugin-librivox.craftwithstefan.com/LibriVoxIcon.png'
-};
-
-// Regular Expressions
-const REGEX = {
-    CONTENT_DETAILS: /https:\/\/librivox\.org\/[\w\-]+(?:\/[\w\-]+)*\/\?([^#&]*&)*chapter=(\d+)(?:&[^#]*)?$/,
-    AUTHOR_CHANNEL: /^https?:\/\/(?:www\.)?librivox\.org\/author\/(\d+)(?:\?[^#\s]*)?$/,
-    READER_CHANNEL: /^https?:\/\/(?:www\.)?librivox\.org\/reader\/(\d+)(?:\?[^#\s]*)?$/,
-    PLAYLIST: /^https?:\/\/(?:www\.)?librivox\.org\/(?!(?:search|pages|category|reader|author|group|collections|\d{4}\/\d{2}\/\d{2})\/?)(?:[a-zA-Z0-9-]+)(?:-by-[a-zA-Z0-9-]+)?\/?(?:\?[^#\s]*)?$/,
-    COLLECTION: /^https:\/\/librivox\.org\/.*collection.*\/$/,
-    ARCHIVE_ORG_DETAILS: /https:\/\/(?:www\.)?archive\.org\/details\/([^\/]+)/
-};
-
-// Request Headers
-const REQUEST_HEADERS = { 'X-Requested-With': 'XMLHttpRequest' };
-
-// Default request headers
-const REQUEST_HEADERS_API = {};
-
-// Pagination Constants
-const ITEMS_PER_PAGE = 10; // Max items per page allowed by API
-
-// HTTP Request Constants
-const DEFAULT_RETRIES = 3; // Default number of retry attempts for HTTP requests
-
-// Fallback Text Constants
-const FALLBACK_AUTHOR = 'Unknown Author';
-const FALLBACK_TITLE = 'Unknown Title';
-const FALLBACK_READER_DESCRIPTION = 'LibriVox volunteer reader.';
-
-// Numeric Constants
-const UNKNOWN_COUNT = -1; // Indicates unknown/unavailable count (subscribers, views, etc.)
-const NO_SUBSCRIBERS = 0; // Default subscriber count for LibriVox channels
-
-// Plugin State
-let config = {};
-let state = {
-    readers: {} // Cache for reader data
-};
-
-let settings = {}
-
-let LANGUAGE_OPTIONS = [];
-let GENRE_OPTIONS = [];
-
-// ====================== PLUGIN ENTRY POINTS ======================
-
-/**
- * Initialize the plugin with configuration
- * @param {Object} conf Configuration object
- * @param {Object} settings User settings
- * @param {string} saveStateStr Previously saved state
- */
-source.enable = function (conf, set, saveStateStr) {
-    config = conf;
-    settings = set;
-
-    // done this way to easily test with development instance of the API or change it in the future
-    const API_BASE_URL = plugin.config.constants.baseUrl;
-
-    URLS = {
-        ...URLS,
-        API_AUDIOBOOKS_FEED: `${API_BASE_URL}/api/v3/audiobooks/feed?sort_field=id&sort_order=desc`,
-        API_AUDIOBOOKS_DETAILS: `${API_BASE_URL}/api/v3/audiobooks/{audioBookId}`,
-        API_AUDIOBOOKS_SEARCH: `${API_BASE_URL}/api/v3/audiobooks/search`,
-        API_AUTHORS_DETAILS: (id) => `${API_BASE_URL}/api/v3/authors/${id}`,
-        API_AUTHORS_SEARCH: `${API_BASE_URL}/api/v3/authors/search`,
-        API_AUTHORS_AUDIOBOOKS: (id) => `${API_BASE_URL}/api/v3/authors/${id}/audiobooks`,
-        API_AUTHORS_AUDIOBOOKS_SEARCH: (id) => `${API_BASE_URL}/api/v3/authors/${id}/audiobooks/search`,
-        API_READERS_DETAILS: (id) => `${API_BASE_URL}/api/v3/readers/${id}`,
-        API_READERS_SECTIONS: (id) => `${API_BASE_URL}/api/v3/readers/${id}/sections`,
-        API_READERS_AUDIOBOOKS: (id) => `${API_BASE_URL}/api/v3/readers/${id}/audiobooks`,
-        API_READERS_AUDIOBOOKS_SEARCH: (id) => `${API_BASE_URL}/api/v3/readers/${id}/audiobooks/search`,
-        API_AUTOCOMPLETE: `${API_BASE_URL}/api/v3/search/autocomplete`,
-    }
-
-
-    if (IS_TESTING || settings.languageOptionIndex === undefined) {
-        settings.languageOptionIndex = 0;
-    }
-
-    if (IS_TESTING || settings.genreOptionIndex === undefined) {
-        settings.genreOptionIndex = 0;
-    }
-
-    LANGUAGE_OPTIONS = loadOptionsForSetting('languageOptionIndex');
-    GENRE_OPTIONS = loadOptionsForSetting('genreOptionIndex');
-
-    if (saveStateStr) {
-        try {
-            state = JSON.parse(saveStateStr);
-
-            // Ensure readers object exists
-            if (!state.readers) {
-                state.readers = {};
-            }
-        } catch (e) {
-            bridge.log('Failed to restore state: ' + e.message);
-            state.readers = {};
-        }
-    } else {
-        state.readers = {};
-    }
-};
-
-/**
- * Save plugin state for persistence
- * @returns {string} State as JSON string
- */
-source.saveState = function () {
-    return JSON.stringify(state);
-};
-
-/**
- * Get home page content with latest releases first
- * @returns {ContentPager} Paged results for home page
- */
-source.getHome = function () {
-    return new HomeContentPager();
-};
-
-/**
- * Check if URL is a playlist (audiobook)
- * @param {string} url URL to check
- * @returns {boolean} True if URL is an audiobook
- */
-source.isPlaylistUrl = (url) => {
-    if (IS_TESTING) {
-        bridge.log(`source.isPlaylistUrl . ${url}`);
-    }
-    // Add check for internal URL format
-    if (url.startsWith('https://grayjay.internal/librivox/book')) {
-        return true;
-    }
-    return REGEX.PLAYLIST.test(url);
-};
-
-/**
- * Get search capabilities with language and genre filters
- * @returns {ResultCapabilities} Search capabilities
- */
-source.getSearchCapabilities = function() {
-    const languages = LANGUAGE_OPTIONS.filter(lang => lang !== 'All');
-    const genres = GENRE_OPTIONS.filter(genre => genre !== 'All');
-
-    return new ResultCapabilities(
-        [Type.Feed.Mixed],
-        [Type.Order.Chronological],
-        [
-            new FilterGroup(
-                "Language",
-                languages.map(lang => new FilterCapability(lang, lang)),
-                false,
-                "language"
-            ),
-            new FilterGroup(
-                "Genre",
-                genres.map(genre => new FilterCapability(genre, genre)),
-                false,
-                "genre"
-            )
-        ]
-    );
-};
-
-/**
- * Search for audiobooks with optional filters
- * @param {string} query Search query
- * @param {string} type Content type (unused)
- * @param {string} order Sort order (unused)
- * @param {Object} filters Filter object with language and/or genre
- * @returns {ContentPager} Paged results for search
- */
-source.search = function (query, type, order, filters) {
-    return createAudiobookSearchPager(
-        URLS.API_AUDIOBOOKS_SEARCH,
-        query,
-        null,
-        filters
-    );
-};
-
-/**
- * Search for LibriVox authors
- * @param {string} query Search query
- * @returns {ContentPager} Paged results for author search
- */
-source.searchChannels = function (query) {
-    return searchAuthors(query);
-};
-
-/**
- * Search within a specific channel (author or reader)
- * @param {string} channelUrl Channel URL
- * @param {string} query Search query
- * @param {string} type Content type
- * @param {string} order Sort order
- * @param {Object} filters Search filters
- * @returns {ContentPager} Paged search results
- */
-source.searchChannelContents = function (channelUrl, query, type, order, filters) {
-    let searchUrl = null;
-
-    if (REGEX.AUTHOR_CHANNEL.test(channelUrl)) {
-        const match = channelUrl.match(REGEX.AUTHOR_CHANNEL);
-        const id = match ? match[1] : null;
-        searchUrl = id ? URLS.API_AUTHORS_AUDIOBOOKS_SEARCH(id) : null;
-    } else if (REGEX.READER_CHANNEL.test(channelUrl)) {
-        const match = channelUrl.match(REGEX.READER_CHANNEL);
-        const id = match ? match[1] : null;
-        searchUrl = id ? URLS.API_READERS_AUDIOBOOKS_SEARCH(id) : null;
-    }
-
-    if (!searchUrl || !query) {
-        return new ContentPager([], false);
-    }
-
-    return createAudiobookSearchPager(searchUrl, query, null, filters);
-};
-
-/**
- * Get search suggestions for autocomplete
- * @param {string} query Search query
- * @returns {string[]} Array of suggestion strings
- */
-source.searchSuggestions = function (query) {
-    if (!query || query.trim().length === 0) {
-        return [];
-    }
-
-    try {
-        const url = `${URLS.API_AUTOCOMPLETE}?q=${encodeURIComponent(query.trim())}`;
-        const response = httpGET(url);
-        return Array.isArray(response?.data) ? response.data : [];
-    } catch (error) {
-        if (IS_TESTING) {
-            bridge.log(`Error fetching search suggestions: ${error.message}`);
-        }
-    }
-
-    return [];
-}
-
-/**
- * Check if URL is a channel (author or reader)
- * @param {string} url URL to check
- * @returns {boolean} True if URL is a channel
- */
-source.isChannelUrl = function (url) {
-    return REGEX.AUTHOR_CHANNEL.test(url) || REGEX.READER_CHANNEL.test(url);
-};
-
-/**
- * Get channel information (author or reader)
- * @param {string} url Channel URL
- * @returns {PlatformChannel} Channel information
- */
-source.getChannel = function (url) {
-    if (REGEX.AUTHOR_CHANNEL.test(url)) {
-        return getAuthorChannel(url);
-    } else if (REGEX.READER_CHANNEL.test(url)) {
-        return getReaderChannel(url);
-    }
-
-    // Fallback for unknown channel type
-    return new PlatformChannel({
-        id: new PlatformID(PLATFORM, url, config.id),
-        name: 'Unknown Channel',
-        thumbnail: DEFAULT_IMAGES.AUTHOR_AVATAR,
-        subscribers: NO_SUBSCRIBERS,
-        description: '',
-        url,
-        links: {}
-    });
-};
-/**
- * Get channel contents (books by author or reader)
- * @param {string} url Channel URL
- * @returns {ContentPager} Paged results for channel contents
- */
-source.getChannelContents = function (url) {
-    if (REGEX.AUTHOR_CHANNEL.test(url)) {
-        return getAuthorAudiobooks(url);
-    } else if (REGEX.READER_CHANNEL.test(url)) {
-        return getReaderAudiobooks(url);
-    }
-
-    return new ContentPager([], false);
-};
-/**
- * Get audiobook details (playlist)
- * @param {string} url Audiobook URL
- * @returns {PlatformPlaylistDetails} Audiobook details
- */
-source.getPlaylist = function (url) {
-    return getAudiobookDetails(url);
-};
-
-/**
- * Check if URL is a chapter details URL
- * @param {string} url URL to check
- * @returns {boolean} True if URL is a chapter URL
- */
-source.isContentDetailsUrl = function (url) {
-    if (url.startsWith('https://grayjay.internal/librivox/book/') && url.includes('?chapter=')) {
-        return true;
-    }
-    return REGEX.CONTENT_DETAILS.test(url);
-};
-
-/**
- * Get chapter details
- * @param {string} url Chapter URL
- * @returns {PlatformVideoDetails} Chapter details
- */
-/**
- * Get chapter details
- * @param {string} url Chapter URL
- * @returns {PlatformVideoDetails} Chapter details
- */
-source.getContentDetails = function (url) {
-    let bookId, chapterId;
-
-    // Handle internal URL format
-    if (url.startsWith('https://grayjay.internal/librivox/book/')) {
-        bookId = url.split('/').pop().split('?')[0];
-        const urlObj = new URL(url);
-        chapterId = urlObj.searchParams.get("chapter");
-    } else {
-        // Handle traditional URL
-        const meta = new URL(url);
-        chapterId = meta.searchParams.get("chapter");
-        bookId = extractId(url);
-    }
-
-    // Get audiobook details
-    let id;
-
-    if (bookId) {
-        id = bookId;
-
-    } else {
-        id = extractSlug(url);
-    }
-
-    let apiUrl = URLS.API_AUDIOBOOKS_DETAILS.replace('{audioBookId}', id);
-
-    let playlistInfo = fetchAudiobookDetailsFromApi(apiUrl);
-
-    // Validate playlistInfo has chapters
-    if (!playlistInfo || !Array.isArray(playlistInfo.chapters)) {
-        throw new ScriptException(`No chapters found for audiobook`);
-    }
-
-    // Find chapter by index
-    const chapter = playlistInfo.chapters.find(c => c.chapterId == chapterId);
-
-    if (!chapter) {
-        throw new ScriptException(`Chapter not found: ${chapterId}`);
-    }
-
-    // Format author information with links
-    let authorsText = "";
-    if (playlistInfo.authors && Array.isArray(playlistInfo.authors) && playlistInfo.authors.length > 0) {
-        authorsText = "Author" + (playlistInfo.authors.length > 1 ? "s" : "") + ": ";
-        authorsText += playlistInfo.authors.map(author => {
-            const authorUrl = author.url || (author.id ? `${URLS.AUTHOR_BASE}/${author.id}` : '');
-            if (authorUrl) {
-                return `<a href="${authorUrl}">${author.name}</a>`;
-            }
-            return author.name;
-        }).join(", ");
-    } else if (playlistInfo.authorName && playlistInfo.authorUrl) {
-        // Fallback for single author stored in legacy format
-        authorsText = `Author: <a href="${playlistInfo.authorUrl}">${playlistInfo.authorName}</a>`;
-    }
-
-    // Format readers information with links
-    let readersText = "";
-    if (chapter.readers && chapter.readers.length > 0) {
-        readersText = "\n\nRead by: ";
-        readersText += chapter.readers.map(reader => {
-            if (reader.url) {
-                return `<a href="${reader.url}">${reader.name}</a>`;
-            }
-            return reader.name;
-        }).join(", ");
-    }
-
-    // Create combined description
-    const combinedDescription = `${playlistInfo.description || ''}\n\n${authorsText}${readersText}`;
-
-    const duration = chapter.duration;
-
-    const sources = [];
-
-    if (chapter.chapterFile) {
-        sources.push(new AudioUrlSource({
-            name: 'audio (archive.org)',
-            container: 'audio/mpeg',
-            codec: 'mp4a.40.2',
-            url: chapter.chapterFile,
-            language: 'Unknown',
-            duration
-        }));
-    }
-
-    if (sources.length === 0) {
-        throw new ScriptException(`No audio sources found for chapter`);
-    }
-
-    return new PlatformVideoDetails({
-        id: new PlatformID(PLATFORM, `${bookId}_chapter_${chapterId}`, config.id),
-        name: chapter.chapterName,
-        description: combinedDescription,
-        author: new PlatformAuthorLink(
-            new PlatformID(PLATFORM, extractChannelId(playlistInfo.authorUrl) || '', config.id),
-            playlistInfo.authorName,
-            playlistInfo.authorUrl,
-            playlistInfo?.authorThumbnailUrl ?? ''
-        ),
-        url: url,
-        duration: chapter.duration,
-        thumbnails: new Thumbnails([new Thumbnail(playlistInfo.bookCoverUrl)]),
-        video: new UnMuxVideoSourceDescriptor([], sources),
-        viewCount: playlistInfo.viewCount
-    });
-};
-
-function extractSlug(url) {
-    // Extract the book slug from various LibriVox URL formats:
-    // - /book-title/
-    // - /book-title
-    // - /book-title-by-author/
-    // - /book-title/?params
-    // - /book-title-by-author/?params
-    const match = url.match(/\/([a-zA-Z0-9-]+)(?:-by-[a-zA-Z0-9-]+)?\/?(?:\?|$)/);
-    return match ? match[1] : null;
-}
-
-// ====================== CUSTOM PAGER IMPLEMENTATIONS ======================
-
-/**
- * Custom home content pager with latest releases first
- */
-class HomeContentPager extends ContentPager {
-    constructor() {
-        super([], true, { offset: 0 });
-        this.offset = 0;
-        this.pageSize = ITEMS_PER_PAGE;
-        this.nextPage();
-    }
-
-    nextPage() {
-        this.results = [];
-        // Only load more regular books on subsequent pages
-        let languageOption = LANGUAGE_OPTIONS[settings.languageOptionIndex];
-        let genreOption = GENRE_OPTIONS[settings.genreOptionIndex];
-
-        let nextPageUrl = `${URLS.API_AUDIOBOOKS_FEED}&limit=${this.pageSize}&offset=${this.offset}`;
-
-        if (languageOption && languageOption !== 'All') {
-            nextPageUrl += `&language=${encodeURIComponent(languageOption)}`;
-        }
-
-        if (genreOption && genreOption !== 'All') {
-            nextPageUrl += `&genre=${encodeURIComponent(genreOption)}`;
-        }
-
-        try {
-            const response = httpGET({
-                url: nextPageUrl,
-                useAuthenticated: false
-            });
-
-            const data = response.data || response;
-            const books = Array.isArray(data) ? data : [];
-
-            if (books && books.length > 0) {
-                const newBooks = books
-                    .map(audiobookToPlaylist)
-                    .filter(book => book?.id);
-
-                // Add new books to results
-                this.results = [...this.results, ...newBooks];
-                this.offset += this.pageSize;
-                this.hasMore = newBooks.length > 0;
-            } else {
-                this.hasMore = false;
-            }
-        } catch (error) {
-            logError(`Error parsing more books: ${error.message}`);
-            this.hasMore = false;
-        }
-
-        return this;
-    }
-}
-
-/**
- * Search pager for audiobooks
- */
-class SearchAudiobooksPager extends VideoPager {
-    constructor({ videos = [], hasMore = true, context = {} } = {}) {
-        super(videos, hasMore, context);
-    }
-
-    nextPage() {
-        let offset = this.context.offset ?? 0;
-        let searchResults = [];
-        const params = {
-            limit: this.context.limit || ITEMS_PER_PAGE,
-            offset,
-            q: this.context.query?.toLowerCase()?.trim(),
-        };
-
-        // Add filters if present
-        if (this.context.filters) {
-            if (this.context.filters.language) {
-                params.language = this.context.filters.language;
-            }
-            if (this.context.filters.genre) {
-                params.genre = this.context.filters.genre;
-            }
-        }
-
-        const queryParams = objectToUrlEncodedString(params);
-        const url = `${this.context.baseUrl}?${queryParams}`;
-
-        let responseLength = 0;
-
-        try {
-            const response = httpGET(url);
-            const books = response.data || [];
-
-            responseLength = books.length;
-            searchResults = books
-                .filter(b => b.url_librivox) // audiobooks in-progress or Abandoned don't have URL
-                .filter(this.context.filterCb || (() => true))
-                .map(audiobookToPlaylist);
-        } catch (error) {
-            logError(`Error parsing search results: ${error.message}`);
-            return new SearchAudiobooksPager({
-                videos: [],
-                hasMore: false,
-                context: this.context
-            });
-        }
-
-        offset += (this.context.limit || ITEMS_PER_PAGE);
-        let hasMore = responseLength === (this.context.limit || ITEMS_PER_PAGE);
-
-        return new SearchAudiobooksPager({
-            videos: searchResults,
-            hasMore,
-            context: {
-                ...this.context,
-                offset: offset,
-                filters: this.context.filters // Preserve filters for pagination
-            },
-        });
-    }
-}
-
-/**
- * Reader audiobooks pager - provides proper pagination for a reader's audiobook list using API
- */
-class ReaderAudiobooksPager extends VideoPager {
-    constructor({ videos = [], hasMore = true, context = {} } = {}) {
-        super(videos, hasMore, context);
-    }
-
-    nextPage() {
-        const currentPage = this.context.page || 1;
-        const readerId = this.context.readerId;
-        const limit = ITEMS_PER_PAGE;
-        const offset = (currentPage - 1) * limit;
-
-        if (!readerId) {
-            logError('Reader ID is required for ReaderAudiobooksPager');
-            return new ReaderAudiobooksPager({
-                videos: [],
-                hasMore: false,
-                context: this.context
-            });
-        }
-
-        try {
-            // Get audiobooks narrated by this reader using the /api/v3/readers/{id}/audiobooks endpoint
-            const audiobooksUrl = `${URLS.API_READERS_AUDIOBOOKS(readerId)}?limit=${limit}&offset=${offset}`;
-            const audiobooksResponse = httpGET(audiobooksUrl);
-
-            // The /api/v3/readers/{id}/audiobooks endpoint returns audiobooks directly in the 'data' array
-            const audiobooks = audiobooksResponse.data;
-
-            if (!audiobooks || !Array.isArray(audiobooks)) {
-                logError(`Invalid audiobooks response format for reader ${readerId}`);
-                return new ReaderAudiobooksPager({
-                    videos: [],
-                    hasMore: false,
-                    context: this.context
-                });
-            }
-
-            // Process audiobooks directly from the /api/v3/readers/{id}/audiobooks endpoint
-            const results = audiobooks
-                .filter(audiobook => audiobook && audiobook.id)
-                .filter(audiobook => !REGEX.COLLECTION.test(audiobook.url_librivox || ''))
-                .map(audiobookToPlaylist)
-                .filter(playlist => playlist !== null);
-
-            // Determine if there are more pages
-            const hasMorePages = audiobooks.length === limit;
-
-            return new ReaderAudiobooksPager({
-                videos: results,
-                hasMore: hasMorePages,
-                context: {
-                    ...this.context,
-                    page: currentPage + 1
-                }
-            });
-
-        } catch (error) {
-            logError(`Error fetching reader audiobooks from /api/v3/readers/${readerId}/audiobooks: ${error.message}`);
-            return new ReaderAudiobooksPager({
-                videos: [],
-                hasMore: false,
-                context: this.context
-            });
-        }
-    }
-}
-
-/**
- * Author audiobooks pager - provides proper pagination for an author's audiobook list using API
- */
-class AuthorAudiobooksPager extends VideoPager {
-    constructor({ videos = [], hasMore = true, context = {} } = {}) {
-        super(videos, hasMore, context);
-    }
-
-    nextPage() {
-        const currentPage = this.context.page || 1;
-        const authorId = this.context.authorId;
-        const limit = ITEMS_PER_PAGE;
-        const offset = (currentPage - 1) * limit;
-
-        if (!authorId) {
-            logError('Author ID is required for AuthorAudiobooksPager');
-            return new AuthorAudiobooksPager({
-                videos: [],
-                hasMore: false,
-                context: this.context
-            });
-        }
-
-        try {
-            const audiobooksUrl = `${URLS.API_AUTHORS_AUDIOBOOKS(authorId)}?limit=${limit}&offset=${offset}`;
-            const audiobooksResponse = httpGET(audiobooksUrl);
-            const audiobooks = audiobooksResponse?.data;
-
-            if (!audiobooks || !Array.isArray(audiobooks)) {
-                logError(`Invalid audiobooks response format for author ${authorId}`);
-                return new AuthorAudiobooksPager({
-                    videos: [],
-                    hasMore: false,
-                    context: this.context
-                });
-            }
-
-            const results = audiobooks
-                .filter(audiobook => audiobook && audiobook.id)
-                .map(audiobookToPlaylist)
-                .filter(playlist => playlist !== null);
-
-            // Determine if there are more pages
-            const hasMorePages = audiobooks.length === limit;
-
-            return new AuthorAudiobooksPager({
-                videos: results,
-                hasMore: hasMorePages,
-                context: {
-                    ...this.context,
-                    page: currentPage + 1
-                }
-            });
-
-        } catch (error) {
-            logError(`Error fetching author audiobooks from /api/v3/authors/${authorId}/audiobooks: ${error.message}`);
-            return new AuthorAudiobooksPager({
-                videos: [],
-                hasMore: false,
-                context: this.context
-            });
-        }
-    }
-}
-// ====================== CORE FUNCTIONALITY ======================
-
-
-/**
- * Create a search pager for finding audiobooks by specific criteria
- * @param {string} baseUrl API base URL
- * @param {string} query Search query
- * @param {Function} filterCb Optional filter callback
- * @param {Object} filters Optional filters object (language, genre)
- * @returns {SearchAudiobooksPager} Search pager
- */
-function createAudiobookSearchPager(baseUrl, query, filterCb = () => true, filters = null) {
-    return new SearchAudiobooksPager({
-        context: {
-            baseUrl,
-            query,
-            filterCb,
-            filters,
-            limit: ITEMS_PER_PAGE,
-            offset: 0
-        }
-    }).nextPage();
-}
-
-/**
- * Search for authors by name
- * @param {string} query Search query
- * @returns {ContentPager} Paged results for author search
- */
-function searchAuthors(query) {
-    const url = `${URLS.API_AUTHORS_SEARCH}?q=${encodeURIComponent(query)}`;
-
-    try {
-        const response = httpGET(url);
-        const authors = response.data || [];
-
-        const channels = authors.map(author => {
-            const authorName = author.name || FALLBACK_AUTHOR;
-            const authorUrl = `${URLS.AUTHOR_BASE}/${author.id}`;
-
-            return new PlatformChannel({
-                id: new PlatformID(PLATFORM, authorUrl, config.id),
-                name: authorName,
-                thumbnail: author.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR,
-                subscribers: UNKNOWN_COUNT,
-                description: author.description || '',
-                url: authorUrl,
-                links: buildAuthorLinks(author)
-            });
-        });
-
-        return new ContentPager(channels, false);
-    } catch (error) {
-        logError(`Error parsing author search results: ${error.message}`);
-        return new ContentPager([], false);
-    }
-}
-
-function getAuthorByID(id) {
-    try {
-        const response = httpGET(URLS.API_AUTHORS_DETAILS(id));
-        return response.data;
-    } catch (error) {
-        logError(`Error fetching author by ID: ${error.message}`);
-        return null;
-    }
-}
-
-/**
- * Get author channel details
- * @param {string} url Author URL
- * @returns {PlatformChannel} Author channel
- */
-function getAuthorChannel(url) {
-    const channelId = extractChannelId(url);
-
-    const author = getAuthorByID(channelId);
-
-    if (!author) {
-        logError(`Author not found for ID: ${channelId}`);
-        return new PlatformChannel({
-            id: new PlatformID(PLATFORM, url, config.id),
-            name: FALLBACK_AUTHOR,
-            thumbnail: DEFAULT_IMAGES.AUTHOR_AVATAR,
-            subscribers: NO_SUBSCRIBERS,
-            description: '',
-            url,
-            links: {}
-        });
-    }
-
-    if (!author.url) {
-        author.url = `${URLS.AUTHOR_BASE}/${author.id}`;
-    }
-
-    const authorName = author.name || FALLBACK_AUTHOR;
-
-    return new PlatformChannel({
-        id: new PlatformID(PLATFORM, author.url, config.id),
-        name: authorName,
-        thumbnail: author?.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR || '',
-        subscribers: NO_SUBSCRIBERS,
-        description: author?.description || '',
-        url,
-        links: buildAuthorLinks(author)
-    });
-}
-/**
- * Get reader channel details
- * @param {string} url Reader URL
- * @returns {PlatformChannel} Reader channel
- */
-function getReaderChannel(url) {
-    const readerId = extractReaderIdFromUrl(url);
-
-    // Check if we've already cached this reader's info
-    if (state.readers[readerId]) {
-        const reader = state.readers[readerId];
-        return new PlatformChannel({
-            id: new PlatformID(PLATFORM, url, config.id),
-            name: `${reader.name} (reader)`,
-            thumbnail: DEFAULT_IMAGES.READER_AVATAR,
-            subscribers: NO_SUBSCRIBERS,
-            description: reader.description || `LibriVox reader with ${reader.bookCount || 'many'} narrated books.`,
-            url,
-            links: {
-                'LibriVox': url
-            }
-        });
-    }
-
-    // Fetch reader's profile to get information
-    const readerInfo = fetchReaderInfo(readerId);
-
-    // Cache the reader info for future use
-    state.readers[readerId] = readerInfo;
-
-    return new PlatformChannel({
-        id: new PlatformID(PLATFORM, url, config.id),
-        name: `${readerInfo.name} (reader)`,
-        thumbnail: DEFAULT_IMAGES.READER_AVATAR,
-        subscribers: NO_SUBSCRIBERS,
-        description: readerInfo.description,
-        url,
-        links: {
-            'LibriVox': url
-        }
-    });
-}
-
-/**
- * Fetch reader information from the API
- * @param {string} readerId Reader ID
- * @returns {Object} Reader information
- */
-function fetchReaderInfo(readerId) {
-    try {
-        // Get reader details from /api/v3/readers/{reader id} endpoint
-        const readerUrl = URLS.API_READERS_DETAILS(readerId);
-        const readerResponse = httpGET(readerUrl);
-
-        // The /api/v3/readers/{id} endpoint returns the reader data directly in the 'data' field
-        const reader = readerResponse.data;
-
-        if (reader) {
-            // Create a description using the available information
-            let description = `LibriVox volunteer reader`;
-            if (reader.display_name) {
-                description = `LibriVox reader ${reader.display_name}`;
-            }
-
-            if (reader.section_count > 0) {
-                description += ` who has recorded ${reader.section_count} sections`;
-            }
-
-            if (reader.audiobook_count > 0) {
-                description += ` across ${reader.audiobook_count} audiobooks`;
-            }
-
-            description += '.';
-
-            return {
-                name: reader.display_name || `Reader ${readerId}`,
-                catalogName: reader.display_name || `Reader ${readerId}`,
-                forumName: '',
-                totalSections: reader.section_count || NO_SUBSCRIBERS,
-                totalMatches: reader.audiobook_count || NO_SUBSCRIBERS,
-                description: description,
-                bookCount: reader.audiobook_count || NO_SUBSCRIBERS
-            };
-        }
-
-        // Fallback if no reader data
-        return {
-            name: `Reader ${readerId}`,
-            catalogName: `Reader ${readerId}`,
-            forumName: '',
-            totalSections: NO_SUBSCRIBERS,
-            totalMatches: NO_SUBSCRIBERS,
-            description: FALLBACK_READER_DESCRIPTION,
-            bookCount: NO_SUBSCRIBERS
-        };
-
-    } catch (error) {
-        logError(`Error fetching reader info from API: ${error.message}`);
-        return {
-            name: `Reader ${readerId}`,
-            catalogName: `Reader ${readerId}`,
-            forumName: '',
-            totalSections: NO_SUBSCRIBERS,
-            totalMatches: NO_SUBSCRIBERS,
-            description: FALLBACK_READER_DESCRIPTION,
-            bookCount: NO_SUBSCRIBERS
-        };
-    }
-}
-/**
- * Get audiobooks by author
- * @param {string} url Author URL
- * @returns {AuthorAudiobooksPager} Paged author audiobooks
- */
-function getAuthorAudiobooks(url) {
-    const channelId = extractChannelId(url);
-
-    if (!channelId) {
-        logError('Could not extract author ID from URL');
-        return new ContentPager([], false);
-    }
-
-    // Use the new AuthorAudiobooksPager to handle pagination
-    return new AuthorAudiobooksPager({
-        context: {
-            authorId: channelId,
-            page: 1
-        }
-    }).nextPage();
-}
-
-/**
- * Get audiobooks by reader
- * @param {string} url Reader URL
- * @returns {ReaderAudiobooksPager} Paged reader audiobooks
- */
-function getReaderAudiobooks(url) {
-    const readerId = extractReaderIdFromUrl(url);
-
-    if (!readerId) {
-        logError(`Invalid reader URL: ${url}`);
-        return new ContentPager([], false);
-    }
-
-    // Use the new ReaderAudiobooksPager to handle pagination
-    return new ReaderAudiobooksPager({
-        context: {
-            readerId: readerId,
-            page: 1
-        }
-    }).nextPage();
-}
-
-/**
- * Get detailed audiobook information
- * @param {string} url Audiobook URL
- * @returns {PlatformPlaylistDetails} Audiobook details
- */
-function getAudiobookDetails(url) {
-
-    const playlistInfo = getAudiobookCachedDetails(url);
-
-    const author = new PlatformAuthorLink(
-        new PlatformID(PLATFORM, extractChannelId(playlistInfo.authorUrl) || '', config.id),
-        playlistInfo.authorName,
-        playlistInfo.authorUrl,
-        playlistInfo?.authorThumbnailUrl ?? ''
-    );
-
-
-
-    // Extract the book ID from the URL or use a consistent identifier
-    const bookId = extractId(url) || url.split('/').pop();
-    const internalUrl = `https://grayjay.internal/librivox/book/${bookId}`;
-
-    const bookCoverUrl = playlistInfo.bookCoverUrl;
-    const contents = playlistInfo.chapters.map((chapter, idx) => {
-        // For chapter URLs, we'll use a similar internal format with chapter parameter
-        const chapterUrl = `${internalUrl}?chapter=${idx}`;
-
-        return new PlatformVideo({
-            id: new PlatformID(PLATFORM, `${bookId}_chapter_${idx}`, config.id),
-            name: chapter.chapterName,
-            author: author,
-            url: chapterUrl,
-            duration: chapter.duration,
-            thumbnails: new Thumbnails([new Thumbnail(bookCoverUrl)]),
-        });
-    });
-
-    return new PlatformPlaylistDetails({
-        id: new PlatformID(PLATFORM, internalUrl, config.id),
-        author: author,
-        name: playlistInfo.title,
-        videoCount: contents.length ?? 0,
-        contents: new VideoPager(contents),
-        url: internalUrl,
-    });
-}
-
-// ====================== DATA FETCHING ======================
-
-
-/**
- * Get cached audiobook details or fetch them if not cached
- * @param {string} url Audiobook URL
- * @returns {Object} Audiobook details
- */
-function getAudiobookCachedDetails(url) {
-
-    const audioBookId = extractId(url);
-    let id;
-
-    if (audioBookId) {
-        id = audioBookId;
-    } else {
-        id = extractSlug(url);
-    }
-
-    let apiUrl = URLS.API_AUDIOBOOKS_DETAILS.replace('{audioBookId}', id);
-
-    return fetchAudiobookDetailsFromApi(apiUrl);
-}
-
-/**
- * Fetch audiobook details from LibriVox API
- * @param {string} audioBookId Audiobook ID
- * @param {string} url Audiobook URL
- * @returns {Object} Audiobook details
- */
-function fetchAudiobookDetailsFromApi(apiUrl) {
-    try {
-        const response = httpGET(apiUrl);
-        const book = response.data;
-
-        if (!book) {
-            throw new ScriptException("No book data found in API response");
-        }
-
-        const match = book?.url_iarchive?.match(REGEX.ARCHIVE_ORG_DETAILS);
-
-        const iarchive_id = match ? match[1] : null;
-        let viewCount = UNKNOWN_COUNT;
-
-        if (iarchive_id) {
-            viewCount = fetchViewCount(iarchive_id);
-        }
-
-        // Handle multiple authors
-        const authors = book?.authors || [];
-        let authorName = FALLBACK_AUTHOR;
-        let authorUrl = '';
-        let authorThumbnailUrl = DEFAULT_IMAGES.AUTHOR_AVATAR;
-
-        // Format primary author
-        if (authors.length > 0) {
-            const primaryAuthor = authors[0];
-            authorName = primaryAuthor.name || FALLBACK_AUTHOR;
-            authorUrl = primaryAuthor.id ? `${URLS.AUTHOR_BASE}/${primaryAuthor.id}` : '';
-            authorThumbnailUrl = primaryAuthor?.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR;
-        }
-
-        // Format all authors for description
-        const formattedAuthors = authors.map(author => {
-            return {
-                id: author.id,
-                name: author.name || FALLBACK_AUTHOR,
-                url: author.id ? `${URLS.AUTHOR_BASE}/${author.id}` : ''
-            };
-        });
-
-        return {
-            viewCount,
-            title: book.title || FALLBACK_TITLE,
-            description: book.description || '',
-            authorThumbnailUrl: authorThumbnailUrl,
-            authorName: authorName,  // Primary author for backward compatibility
-            authorUrl: authorUrl,    // Primary author URL
-            authors: formattedAuthors, // All authors
-            bookCoverUrl: book.coverart_thumbnail || book.coverart_jpg || DEFAULT_IMAGES.BOOK_COVER,
-            chapters: book.sections.map((s, idx) => formatChapterData(s, idx))
-        };
-    } catch (error) {
-        logError(`Error parsing API response: ${error.message}`);
-        throw new ScriptException(`Failed to parse audiobook details: ${error.message}`);
-    }
-}
-
-/**
- * Fetch view count for an audiobook from Archive.org
- * @param {string} iarchive_id Archive.org ID
- * @returns {number} View count or UNKNOWN_COUNT if not available
- */
-function fetchViewCount(iarchive_id) {
-    try {
-        const viewResBody = httpGET({
-            url: `${URLS.ARCHIVE_VIEWS}/${iarchive_id}`,
-            headers: REQUEST_HEADERS
-        });
-
-        if (viewResBody?.[iarchive_id]?.have_data) {
-            return viewResBody[iarchive_id].all_time || UNKNOWN_COUNT;
-        }
-    } catch (error) {
-        logError(`Error parsing view count: ${error.message}`);
-    }
-    return UNKNOWN_COUNT;
-}
-
-
-// ====================== CONVERSION FUNCTIONS ======================
-
-
-/**
- * Format chapter data into a consistent structure
- * @param {Object} s Chapter data from API
- * @param {number} idx Chapter index
- * @returns {Object} Formatted chapter data
- */
-function formatChapterData(s, idx) {
-    // Handle multiple readers
-    const readers = s.readers || [];
-    const formattedReaders = readers.map(reader => ({
-        name: reader.display_name || '',
-        id: reader.id || reader.reader_id || '',
-        url: reader.id || reader.reader_id ? `${URLS.READER_BASE}/${reader.id || reader.reader_id}` : ''
-    }));
-
-    return {
-        section_id: s.id,
-        chapterId: idx,
-        chapterName: s.title || `Chapter ${idx + 1}`,
-        chapterFile: s.listen_url || '',
-        duration: parseInt(s.playtime) || 0,
-        readers: formattedReaders
-    };
-}
-
-/**
- * Convert audiobook data to platform playlist format
- * @param {Object} book Audiobook data
- * @returns {PlatformPlaylist} Platform playlist object
- */
-function audiobookToPlaylist(book) {
-    if (!book) {
-        logError("Attempted to convert null or undefined book");
-        return null;
-    }
-
-    const author = book?.authors?.[0] || { id: '', name: '' };
-    const author_name = author.name || FALLBACK_AUTHOR;
-    const author_url = author.id ? `${URLS.AUTHOR_BASE}/${author.id}` : '';
-    const image_url = author.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR;
-    const bookId = book.id || extractId(book?.url_librivox) || '';
-
-    return new PlatformPlaylist({
-        id: new PlatformID(
-            PLATFORM,
-            bookId.toString(),
-            config.id,
-        ),
-        author: new PlatformAuthorLink(
-            new PlatformID(PLATFORM, author_url, config.id),
-            author_name,
-            author_url,
-            image_url
-        ),
-        name: book?.title || FALLBACK_TITLE,
-        thumbnail: book.coverart_thumbnail || book?.coverart_jpg || DEFAULT_IMAGES.BOOK_COVER,
-        videoCount: book?.sections?.length || book?.num_sections || UNKNOWN_COUNT,
-        url: `https://grayjay.internal/librivox/book?id=${bookId}`
-    });
-}
-
-// ====================== HTTP UTILITIES ======================
-
-/**
- * Gets the requested url and returns the response body either as a string or as a parsed json object
- * @param {string | Object} urlOrOptions - Either a URL string or an options object
- * @param {string} urlOrOptions.url - The URL to call (when using object form)
- * @param {boolean} [urlOrOptions.useAuthenticated=false] - If true, will use the authenticated headers
- * @param {boolean} [urlOrOptions.parseResponse=true] - If true, will parse the response as json and check for errors
- * @param {number} [urlOrOptions.retries=DEFAULT_RETRIES] - Number of retry attempts
- * @param {Object} [urlOrOptions.headers=null] - Custom headers to use for the request
- * @returns {string | Object} the response body as a string or the parsed json object
- * @throws {ScriptException}
- */
-function httpGET(urlOrOptions) {
-    // Support both string URL and options object
-    const options = typeof urlOrOptions === 'string'
-        ? { url: urlOrOptions }
-        : urlOrOptions;
-
-    const {
-        url,
-        useAuthenticated = false,
-        parseResponse = true,
-        retries = DEFAULT_RETRIES,
-        headers = null
-    } = options;
-
-    let lastError;
-    let attempts = retries + 1; // +1 for the initial attempt
-
-    while (attempts > 0) {
-        try {
-            const localHeaders = headers ?? REQUEST_HEADERS_API;
-
-            const resp = http.GET(
-                url,
-                localHeaders,
-                useAuthenticated
-            );
-
-            if (!resp.isOk) {
-                throw new ScriptException(`Request [${url}] failed with code [${resp.code}]`);
-            }
-
-            if (parseResponse) {
-                const json = JSON.parse(resp.body);
-                if (json.errors) {
-                    throw new ScriptException(json.errors[0].message);
-                }
-                return json;
-            }
-
-            return resp.body;
-        } catch (error) {
-            lastError = error;
-            attempts--;
-
-            if (attempts === 0) {
-                // All retry attempts failed
-                logError(`Request failed after ${retries + 1} attempts`);
-                logError(lastError);
-                throw lastError;
-            }
-        }
-    }
-}
-
-// ====================== UTILITY FUNCTIONS ======================
-
-/**
- * Build external links object for an author
- * @param {Object} author Author object from API
- * @returns {Object} Links object with platform URLs
- */
-function buildAuthorLinks(author) {
-    const links = {
-        "LibriVox": `${URLS.AUTHOR_BASE}/${author.id}`
-    };
-
-    // Popular platforms (high priority)
-    if (author.wikipedia_url) {
-        links['Wikipedia'] = author.wikipedia_url;
-    }
-
-    if (author?.goodreads_id) {
-        links['Goodreads'] = `https://www.goodreads.com/author/show/${author.goodreads_id}/`;
-    }
-
-    if (author?.imdb_id) {
-        links['IMDB'] = `https://www.imdb.com/name/${author.imdb_id}/`;
-    }
-
-    if (author?.amazon_id) {
-        links['Amazon'] = `https://www.amazon.com/stores/author/${author.amazon_id}/`;
-    }
-
-    // Authority files and libraries
-    if (author?.lc_naf_id) {
-        links['Library of Congress'] = `https://id.loc.gov/authorities/names/${author.lc_naf_id}`;
-    }
-
-    if (author.wikidata_id) {
-        links['Wikidata'] = `https://www.wikidata.org/wiki/${author.wikidata_id}`;
-    }
-
-    if (author.viaf_id) {
-        links['VIAF'] = `https://viaf.org/viaf/${author.viaf_id}/`;
-    }
-
-    if (author.isni_id) {
-        links['ISNI'] = `https://isni.org/isni/${author.isni_id}`;
-    }
-
-    // Book platforms
-    if (author?.openlibrary_id) {
-        links['Open Library'] = `https://openlibrary.org/authors/${author.openlibrary_id}/`;
-    }
-
-    if (author?.project_gutenberg_id) {
-        links['Project Gutenberg'] = `https://www.gutenberg.org/ebooks/author/${author.project_gutenberg_id}/`;
-    }
-
-    if (author?.bookbrainz_id) {
-        links['BookBrainz'] = `https://bookbrainz.org/author/${author.bookbrainz_id}`;
-    }
-
-    if (author?.librarything_id) {
-        links['LibraryThing'] = `https://www.librarything.com/author/${author.librarything_id}/`;
-    }
-
-    if (author?.storygraph_id) {
-        links['StoryGraph'] = `https://app.thestorygraph.com/authors/${author.storygraph_id}`;
-    }
-
-    // Specialized platforms
-    if (author?.musicbrainz_id) {
-        links['MusicBrainz'] = `https://musicbrainz.org/artist/${author.musicbrainz_id}`;
-    }
-
-    // Regional libraries
-    if (author?.opac_sbn_id) {
-        links['Italian National Library'] = `https://opac.sbn.it/nome/${author.opac_sbn_id}`;
-    }
-
-    if (author?.gnd_id) {
-        links['German National Library'] = `https://d-nb.info/gnd/${author.gnd_id}`;
-    }
-
-    // Other platforms
-    if (author?.youtube_id) {
-        links['YouTube'] = author.youtube_id;
-    }
-
-    return links;
-}
-
-/**
- * Extract reader ID from reader URL
- * @param {string} url Reader URL
- * @returns {string|null} Reader ID or null
- */
-function extractReaderIdFromUrl(url) {
-    if (!url) return null;
-
-    const match = url.match(REGEX.READER_CHANNEL);
-    return match ? match[1] : null;
-}
-
-/**
- * Extract channel ID from URL
- * @param {string} url Channel URL
- * @returns {string|null} Channel ID or null
- */
-function extractChannelId(url) {
-    if (!url) return null;
-
-    const match = url.match(REGEX.AUTHOR_CHANNEL);
-    // If there's a match, the ID will be in the first capture group (index 1)
-    return match ? match[1] : null;
-}
-
-/**
- * Extract ID from URL query parameter
- * @param {string} url URL with ID parameter
- * @returns {string|null} ID or null
- */
-function extractId(url) {
-    if (!url) return null;
-
-    const match = url.match(/[?&]id=([^&]+)/);
-    return match ? match[1] : null;
-}
-
-/**
- * Convert object to URL encoded string
- * @param {Object} obj Object to convert
- * @returns {string} URL encoded string
- */
-function objectToUrlEncodedString(obj) {
-    if (!obj || typeof obj !== 'object') {
-        return '';
-    }
-
-    const encodedParams = [];
-    for (const key in obj) {
-        if (obj.hasOwnProperty(key)) {
-            const encodedKey = encodeURIComponent(key);
-            const encodedValue = encodeURIComponent(obj[key]);
-            encodedParams.push(`${encodedKey}=${encodedValue}`);
-        }
-    }
-    return encodedParams.join('&');
-}
-
-
-/**
- * Log an error message
- * @param {string} message Error message
- */
-function logError(message) {
-    if (IS_TESTING) {
-        bridge.log(`[LibriVox Error] ${message}`);
-    }
-}
-
-function loadOptionsForSetting(settingKey, filterCb = () => true, mapCb = (x) => x) {
-    const all = config?.settings?.find((s) => s.variable == settingKey)
-        ?.options ?? [];
-
-    return all.filter(filterCb).map(mapCb);
-}
-
-log('LOADED');
+/**
+ * LibriVox Plugin for Grayjay
+ *
+ * This plugin enables browsing, searching, and listening to free public domain audiobooks
+ * from LibriVox. It prioritizes latest releases and provides access to the complete catalog.
+ */
+
+// ---------------------- Constants ----------------------
+const PLATFORM = 'librivox';
+
+// API and URL Constants
+let URLS = {
+    BASE: 'https://librivox.org',
+    AUTHOR_BASE: 'https://librivox.org/author',
+    READER_BASE: 'https://librivox.org/reader',
+
+    FORUM_BASE: 'https://forum.librivox.org',
+
+    ARCHIVE_VIEWS: 'https://be-api.us.archive.org/views/v1/short',
+    ARCHIVE_METADATA: 'https://archive.org/metadata',
+    ARCHIVE_ADVANCED_SEARCH: 'https://archive.org/advancedsearch.php',
+    ARCHIVE_DOWNLOAD: 'https://archive.org/download',
+
+    // Official LibriVox API, used when the proxy API is unavailable
+    OFFICIAL_API_AUDIOBOOKS: 'https://librivox.org/api/feed/audiobooks',
+    OFFICIAL_API_AUTHORS: 'https://librivox.org/api/feed/authors',
+
+    INTERNAL_FULL_BOOK: 'https://grayjay.internal/librivox/fullbook',
+    INTERNAL_CONTINUE_LISTENING: 'https://grayjay.internal/librivox/continue-listening',
+    INTERNAL_HOME_GROUP: 'https://grayjay.internal/librivox/home-group',
+    INTERNAL_TRANSLATOR: 'https://grayjay.internal/librivox/translator',
+};
+
+// Default images
+const DEFAULT_IMAGES = {
+    BOOK_COVER: 'https://grayjay-plugin-librivox.craftwithstefan.com/assets/default-book-cover.png',
+    AUTHOR_AVATAR: 'https://grayjay-plugin-librivox.craftwithstefan.com/LibriVoxIcon.png',
+    READER_AVATAR: 'https://grayjay-plugin-librivox.craftwithstefan.com/LibriVoxIcon.png'
+};
+
+// Regular Expressions
+const REGEX = {
+    CONTENT_DETAILS: /https:\/\/librivox\.org\/[\w\-]+(?:\/[\w\-]+)*\/\?([^#&]*&)*chapter=(\d+)(?:&[^#]*)?$/,
+    AUTHOR_CHANNEL: /^https?:\/\/(?:www\.)?librivox\.org\/author\/(\d+)(?:\?[^#\s]*)?$/,
+    TRANSLATOR_CHANNEL: /^https:\/\/grayjay\.internal\/librivox\/translator\/(\d+)$/,
+    READER_CHANNEL: /^https?:\/\/(?:www\.)?librivox\.org\/reader\/(\d+)(?:\?[^#\s]*)?$/,
+    PLAYLIST: /^https?:\/\/(?:www\.)?librivox\.org\/(?!(?:search|pages|category|reader|author|group|collections|\d{4}\/\d{2}\/\d{2})\/?)(?:[a-zA-Z0-9-]+)(?:-by-[a-zA-Z0-9-]+)?\/?(?:\?[^#\s]*)?$/,
+    COLLECTION: /^https:\/\/librivox\.org\/.*collection.*\/$/,
+    ARCHIVE_ORG_DETAILS: /^https?:\/\/(?:www\.)?archive\.org\/details\/([^\/?#]+)/,
+    ARCHIVE_ORG_FILE: /^https?:\/\/(?:[\w-]+\.)*archive\.org\/(?:download|\d+\/items)\/([^\/?#]+)\/([^?#]+\.(?:mp3|ogg|m4b))(?:[?#].*)?$/i,
+    LIBRIVOX_ARCHIVE_ID: /librivox/i, // LibriVox archive.org items are named like "pride_prejudice_librivox"
+    LIBRIVOX_RSS: /^https?:\/\/(?:www\.)?librivox\.org\/rss\/(\d+)\/?(?:[?#].*)?$/,
+    OFFICIAL_API_BOOK: /^https?:\/\/(?:www\.)?librivox\.org\/api\/feed\/audiobooks\/?\?(?:[^#]*&)?id=(\d+)/,
+    FORUM_THREAD: /^https?:\/\/forum\.librivox\.org\/viewtopic\.php\?(?:[^#]*&)?t=(\d+)/,
+    FULL_BOOK: /^https:\/\/grayjay\.internal\/librivox\/fullbook\/([^\/?#]+)/
+};
+
+// Request Headers
+const REQUEST_HEADERS = { 'X-Requested-With': 'XMLHttpRequest' };
+
+// Default request headers
+const REQUEST_HEADERS_API = {};
+
+// Pagination Constants
+const ITEMS_PER_PAGE = 10; // Max items per page allowed by API
+
+// HTTP Request Constants
+const DEFAULT_RETRIES = 3; // Default number of retry attempts for HTTP requests
+const PROXY_RETRY_INTERVAL_MS = 5 * 60 * 1000; // How long to stay on the official API after the proxy fails
+const FILL_MAX_REQUESTS = 5; // Pages read at most to fill one locally filtered page
+const RETRY_BASE_DELAY_MS = 500; // First retry delay, doubled on every attempt
+const RETRY_MAX_DELAY_MS = 8000; // Upper bound for exponential backoff
+const RETRY_AFTER_MAX_MS = 5000; // Retry-After values above this are not waited for
+
+// Failure kinds of HttpRequestException
+const HTTP_ERROR_KIND = {
+    NOT_FOUND: 'not_found',
+    RATE_LIMITED: 'rate_limited',
+    SERVER: 'server',
+    CLIENT: 'client',
+    NETWORK: 'network',
+    PARSE: 'parse'
+};
+
+// Archive.org audio formats offered as chapter sources, keyed by the metadata `format` field
+const ARCHIVE_AUDIO_FORMATS = {
+    '128Kbps MP3': { key: 'mp3_128', label: 'MP3 128kbps', container: 'audio/mpeg', codec: 'mp3', bitrate: 128000 },
+    'VBR MP3': { key: 'mp3_vbr', label: 'MP3 VBR', container: 'audio/mpeg', codec: 'mp3', bitrate: 0 },
+    '64Kbps MP3': { key: 'mp3_64', label: 'MP3 64kbps', container: 'audio/mpeg', codec: 'mp3', bitrate: 64000 },
+    'Ogg Vorbis': { key: 'ogg', label: 'Ogg Vorbis', container: 'audio/ogg', codec: 'vorbis', bitrate: 0 },
+    // Whole-book file only, never a section derivative
+    'M4B': { key: 'm4b', label: 'M4B (AAC)', container: 'audio/mp4', codec: 'mp4a.40.2', bitrate: 0 }
+};
+
+// Format keys matching the options of the preferredAudioQualityIndex setting (index 0 = highest bitrate)
+const AUDIO_QUALITY_PREFERENCES = [null, 'mp3_128', 'mp3_64', 'ogg'];
+
+// Search orders offered by getSearchCapabilities, without one searches keep the API's relevance order
+const SEARCH_ORDER = {
+    NEWEST: 'Newest',
+    OLDEST: 'Oldest',
+    MOST_LISTENED: 'Most listened',
+    RATING: 'Highest rated',
+    TITLE: 'Title A-Z',
+    SHORTEST: 'Shortest',
+    LONGEST: 'Longest'
+};
+
+// API sort parameters of the search orders. Book IDs follow the catalogue order, and id is
+// the sort field the proxy is known to accept (see API_AUDIOBOOKS_FEED); the other orders
+// are applied to each page by sortBooksInPage
+const SEARCH_ORDER_API_SORT = {
+    [SEARCH_ORDER.NEWEST]: { sort_field: 'id', sort_order: 'desc' },
+    [SEARCH_ORDER.OLDEST]: { sort_field: 'id', sort_order: 'asc' }
+};
+
+// Channel views selectable through the "View" channel filter
+const CHANNEL_VIEW = {
+    BOOKS: 'books',
+    SECTIONS: 'sections'
+};
+
+// Sort orders offered for author and reader books
+const CHANNEL_ORDERS = [SEARCH_ORDER.NEWEST, SEARCH_ORDER.OLDEST, SEARCH_ORDER.MOST_LISTENED, SEARCH_ORDER.TITLE];
+
+// Recordings of the same work looked up for the book details
+const MAX_VERSION_CANDIDATES = 50;
+
+// Contributor roles credited on a book, in display order
+const CONTRIBUTOR_ROLE = {
+    AUTHOR: 'author',
+    TRANSLATOR: 'translator',
+    EDITOR: 'editor'
+};
+
+// Genre LibriVox files dramatic projects under
+const DRAMATIC_READINGS_GENRE = 'Dramatic Readings';
+
+// Values of the "Type" search filter
+const PROJECT_TYPE = {
+    DRAMATIC: 'dramatic'
+};
+
+// Values of the "Status" search filter
+const BOOK_STATUS = {
+    IN_PROGRESS: 'in_progress'
+};
+const ABANDONED_PROJECT_STATUS = 'abandoned'; // Project status of recordings that were given up, compared case-insensitively
+
+// Values of the "Recording" channel filter
+const RECORDING_TYPE = {
+    SOLO: 'solo',
+    GROUP: 'group'
+};
+
+// Home feed Constants
+const HOME_TRENDING_POOL = 50; // Archive.org items most downloaded this week, ranked by their 7-day views
+const HOME_TRENDING_COUNT = 10; // Books in the "Trending this week" playlist
+const HOME_SPOTLIGHT_COUNT = 10; // Books in a genre spotlight playlist
+const HOME_COMING_SOON_COUNT = 10; // In-progress projects in the "Coming soon" playlist, when enabled
+
+// Labelled groups shown as playlists in the home feed, next to the newest books
+const HOME_GROUP = {
+    TRENDING: 'trending',
+    SPOTLIGHT: 'spotlight',
+    COMING_SOON: 'coming-soon'
+};
+
+// Recommendation Constants
+const RECOMMENDATIONS_PER_SOURCE = 10; // Books fetched from each recommendation source
+const RECOMMENDATION_GENRE_POOL = 50; // Books of the same genre and language whose views are compared to pick the popular ones
+const RECOMMENDATION_WEIGHTS = {
+    SAME_TITLE: 4,
+    SAME_AUTHOR: 3,
+    SAME_READER: 2,
+    SAME_GENRE: 1
+};
+
+// Fallback Text Constants
+const FALLBACK_AUTHOR = 'Unknown Author';
+const FALLBACK_TITLE = 'Unknown Title';
+const FALLBACK_READER_DESCRIPTION = 'LibriVox volunteer reader.';
+
+// Listening progress Constants
+const MAX_LISTENING_PROGRESS = 50; // Max books remembered for "Continue listening"
+const PLAYBACK_TRACKER_INTERVAL_MS = 10000; // How often playback position is reported
+
+// Cache Constants
+const CACHE_SCHEMA_VERSION = 3; // Bump when the shape of cached values changes
+const CACHE_MAX_ENTRIES = { // Least recently used entries of each kind (key prefix) are evicted beyond these
+    book: 30,
+    views: 300,
+    rating: 300,
+    files: 30,
+    author: 50,
+    reader: 50,
+    page: 6,
+    group: 10,
+    versions: 30,
+    catalogue: 2,
+    link: 50
+};
+const CACHE_MAX_ENTRIES_DEFAULT = 50;
+const CACHED_BOOK_FIELDS = [ // Audiobook record fields kept in the cache, the rest is dropped to limit the saved state size
+    'id', 'title', 'description', 'language', 'copyright_year', 'num_sections', 'totaltimesecs',
+    'url_text_source', 'url_zip_file', 'url_librivox', 'url_iarchive', 'url_forum',
+    'coverart_jpg', 'coverart_thumbnail', 'status', 'project_status', 'catalog_date',
+    'authors', 'translators', 'editors', 'genres', 'sections'
+];
+const CACHED_SECTION_FIELDS = ['id', 'section_number', 'title', 'listen_url', 'playtime', 'readers'];
+const CACHE_TTL_MS = {
+    BOOK: 24 * 60 * 60 * 1000,
+    VIEWS: 6 * 60 * 60 * 1000,
+    RATING: 24 * 60 * 60 * 1000,
+    ARCHIVE_FILES: 7 * 24 * 60 * 60 * 1000,
+    AUTHOR: 7 * 24 * 60 * 60 * 1000,
+    READER: 7 * 24 * 60 * 60 * 1000,
+    PAGE: 10 * 60 * 1000, // First channel pages prefetched with the channel details
+    IN_PROGRESS: 60 * 60 * 1000, // Records of projects still being recorded, refreshed so they turn into normal books once catalogued
+    HOME_GROUP: 30 * 60 * 1000, // Books of the trending, spotlight and coming soon home playlists
+    DEEP_LINK: 7 * 24 * 60 * 60 * 1000, // Archive.org items and forum threads resolved to books
+    VERSIONS: 24 * 60 * 60 * 1000,
+    VERSIONS_FAILED: 10 * 60 * 1000, // No versions listed after a failed search, until it is tried again
+    CATALOGUE: 7 * 24 * 60 * 60 * 1000, // Languages and genre tree
+    CATALOGUE_FALLBACK: 10 * 60 * 1000 // Settings lists used while the catalogue can't be loaded
+};
+
+// Numeric Constants
+const UNKNOWN_COUNT = -1; // Indicates unknown/unavailable count (subscribers, views, etc.)
+const NO_SUBSCRIBERS = 0; // Default subscriber count for LibriVox channels
+
+// Plugin State
+let config = {};
+let state = {
+    cache: { version: CACHE_SCHEMA_VERSION, entries: {} }, // Response cache shared across requests
+    progress: {} // Listening progress per book ID
+};
+
+let settings = {}
+
+// Set while the proxy API is failing and requests go to the official API
+let proxyUnavailableUntil = 0;
+
+// Proxy endpoints newer than some proxy deployments that answered 404, skipped for the rest of the session
+let missingEndpoints = {};
+
+// Metadata of books opened this session, saved into the listening progress once playback starts
+let openedBooks = {};
+
+// Options of the language and genre dropdown settings, used to map stored indexes back to names
+let LANGUAGE_OPTIONS = [];
+let GENRE_OPTIONS = [];
+
+// ====================== PLUGIN ENTRY POINTS ======================
+
+/**
+ * Initialize the plugin with configuration
+ * @param {Object} conf Configuration object
+ * @param {Object} settings User settings
+ * @param {string} saveStateStr Previously saved state
+ */
+source.enable = function (conf, set, saveStateStr) {
+    config = conf;
+    settings = set;
+
+    // done this way to easily test with development instance of the API or change it in the future
+    const API_BASE_URL = plugin.config.constants.baseUrl;
+
+    URLS = {
+        ...URLS,
+        API_AUDIOBOOKS_FEED: `${API_BASE_URL}/api/v3/audiobooks/feed?sort_field=id&sort_order=desc`,
+        API_AUDIOBOOKS_DETAILS: `${API_BASE_URL}/api/v3/audiobooks/{audioBookId}`,
+        API_AUDIOBOOKS_SEARCH: `${API_BASE_URL}/api/v3/audiobooks/search`,
+        API_AUTHORS_DETAILS: (id) => `${API_BASE_URL}/api/v3/authors/${id}`,
+        API_AUTHORS_SEARCH: `${API_BASE_URL}/api/v3/authors/search`,
+        API_AUTHORS_AUDIOBOOKS: (id) => `${API_BASE_URL}/api/v3/authors/${id}/audiobooks`,
+        API_AUTHORS_AUDIOBOOKS_SEARCH: (id) => `${API_BASE_URL}/api/v3/authors/${id}/audiobooks/search`,
+        API_READERS_DETAILS: (id) => `${API_BASE_URL}/api/v3/readers/${id}`,
+        API_READERS_SEARCH: `${API_BASE_URL}/api/v3/readers/search`,
+        API_READERS_SECTIONS: (id) => `${API_BASE_URL}/api/v3/readers/${id}/sections`,
+        API_READERS_AUDIOBOOKS: (id) => `${API_BASE_URL}/api/v3/readers/${id}/audiobooks`,
+        API_READERS_AUDIOBOOKS_SEARCH: (id) => `${API_BASE_URL}/api/v3/readers/${id}/audiobooks/search`,
+        API_AUTOCOMPLETE: `${API_BASE_URL}/api/v3/search/autocomplete`,
+        API_LANGUAGES: `${API_BASE_URL}/api/v3/languages`,
+        API_GENRES: `${API_BASE_URL}/api/v3/genres`,
+    }
+
+
+    if (IS_TESTING || settings.languageOptionIndex === undefined) {
+        settings.languageOptionIndex = 0;
+    }
+
+    if (IS_TESTING || settings.genreOptionIndex === undefined) {
+        settings.genreOptionIndex = 0;
+    }
+
+    if (IS_TESTING || settings.secondLanguageOptionIndex === undefined) {
+        settings.secondLanguageOptionIndex = 0;
+    }
+
+    if (IS_TESTING || settings.secondGenreOptionIndex === undefined) {
+        settings.secondGenreOptionIndex = 0;
+    }
+
+    if (IS_TESTING || settings.excludedGenreOptionIndex === undefined) {
+        settings.excludedGenreOptionIndex = 0;
+    }
+
+    if (IS_TESTING || settings.preferredAudioQualityIndex === undefined) {
+        settings.preferredAudioQualityIndex = 0;
+    }
+
+    if (IS_TESTING || settings.readerAsChannel === undefined) {
+        settings.readerAsChannel = false;
+    }
+
+    if (IS_TESTING || settings.showComingSoon === undefined) {
+        settings.showComingSoon = false;
+    }
+
+    if (IS_TESTING || settings.debugLogging === undefined) {
+        settings.debugLogging = false;
+    }
+
+    LANGUAGE_OPTIONS = loadOptionsForSetting('languageOptionIndex');
+    GENRE_OPTIONS = loadOptionsForSetting('genreOptionIndex');
+
+    if (saveStateStr) {
+        try {
+            state = JSON.parse(saveStateStr);
+
+            // Discard caches written by older versions of the plugin
+            delete state.readers;
+            if (state.cache?.version !== CACHE_SCHEMA_VERSION || !state.cache.entries) {
+                state.cache = { version: CACHE_SCHEMA_VERSION, entries: {} };
+            }
+
+            if (!state.progress) {
+                state.progress = {};
+            }
+            pruneListeningProgress();
+        } catch (e) {
+            bridge.log('Failed to restore state: ' + e.message);
+            state.cache = { version: CACHE_SCHEMA_VERSION, entries: {} };
+            state.progress = {};
+        }
+    } else {
+        state.cache = { version: CACHE_SCHEMA_VERSION, entries: {} };
+        state.progress = {};
+    }
+
+    pruneCache();
+};
+
+/**
+ * Save plugin state for persistence
+ * @returns {string} State as JSON string
+ */
+source.saveState = function () {
+    return JSON.stringify(state);
+};
+
+/**
+ * Get home page content with latest releases first
+ * @returns {ContentPager} Paged results for home page
+ */
+source.getHome = function () {
+    return new HomeContentPager();
+};
+
+/**
+ * Check if URL is a playlist (audiobook)
+ * @param {string} url URL to check
+ * @returns {boolean} True if URL is an audiobook
+ */
+source.isPlaylistUrl = (url) => {
+    if (IS_TESTING) {
+        bridge.log(`source.isPlaylistUrl . ${url}`);
+    }
+    // Add check for internal URL format
+    if (url.startsWith('https://grayjay.internal/librivox/book')) {
+        return true;
+    }
+    if (url.startsWith(URLS.INTERNAL_CONTINUE_LISTENING) || url.startsWith(URLS.INTERNAL_HOME_GROUP)) {
+        return true;
+    }
+    // Shared links: LibriVox archive.org items, podcast feeds, official API records and forum threads
+    if (isLibriVoxArchiveLink(url, REGEX.ARCHIVE_ORG_DETAILS) || REGEX.LIBRIVOX_RSS.test(url)
+        || REGEX.OFFICIAL_API_BOOK.test(url) || REGEX.FORUM_THREAD.test(url)) {
+        return true;
+    }
+    return REGEX.PLAYLIST.test(url);
+};
+
+/**
+ * Get search capabilities with language and genre filters
+ * @returns {ResultCapabilities} Search capabilities
+ */
+source.getSearchCapabilities = function() {
+    const filterGroups = getBookFilterGroups();
+
+    filterGroups.push(new FilterGroup(
+        "Type",
+        [new FilterCapability("Dramatic readings", PROJECT_TYPE.DRAMATIC)],
+        false,
+        "type"
+    ));
+
+    if (isSettingEnabled(settings.showComingSoon)) {
+        filterGroups.push(new FilterGroup(
+            "Status",
+            [new FilterCapability("Coming soon (in progress)", BOOK_STATUS.IN_PROGRESS)],
+            false,
+            "status"
+        ));
+    }
+
+    return new ResultCapabilities(
+        [Type.Feed.Mixed],
+        Object.values(SEARCH_ORDER),
+        filterGroups
+    );
+};
+
+/**
+ * Search for audiobooks with optional filters
+ * @param {string} query Search query
+ * @param {string} type Content type (unused)
+ * @param {string} order Sort order
+ * @param {Object} filters Filter object with language and/or genre
+ * @returns {ContentPager} Paged results for search
+ */
+source.search = function (query, type, order, filters) {
+    return createAudiobookSearchPager(
+        URLS.API_AUDIOBOOKS_SEARCH,
+        query,
+        null,
+        filters,
+        officialAudiobooksSearch,
+        order
+    );
+};
+
+/**
+ * Search for LibriVox authors and readers
+ * @param {string} query Search query
+ * @returns {ChannelSearchPager} Paged results for author and reader search
+ */
+source.searchChannels = function (query) {
+    return new ChannelSearchPager({
+        context: {
+            query,
+            offset: 0,
+            authorsDone: false,
+            readersDone: false
+        }
+    }).nextPage();
+};
+
+/**
+ * Search within a specific channel (author or reader)
+ * @param {string} channelUrl Channel URL
+ * @param {string} query Search query
+ * @param {string} type Content type
+ * @param {string} order Sort order
+ * @param {Object} filters Search filters
+ * @returns {ContentPager} Paged search results
+ */
+source.searchChannelContents = function (channelUrl, query, type, order, filters) {
+    let searchUrl = null;
+    let fallbackCb = null;
+
+    // Translations can't be searched, translator channels only list them
+    if (REGEX.TRANSLATOR_CHANNEL.test(channelUrl)) {
+        return new ContentPager([], false);
+    }
+
+    if (REGEX.AUTHOR_CHANNEL.test(channelUrl)) {
+        const match = channelUrl.match(REGEX.AUTHOR_CHANNEL);
+        const id = match ? match[1] : null;
+        searchUrl = id ? URLS.API_AUTHORS_AUDIOBOOKS_SEARCH(id) : null;
+        fallbackCb = (params) => officialAuthorAudiobooks(id, params);
+    } else if (REGEX.READER_CHANNEL.test(channelUrl)) {
+        const match = channelUrl.match(REGEX.READER_CHANNEL);
+        const id = match ? match[1] : null;
+        searchUrl = id ? URLS.API_READERS_AUDIOBOOKS_SEARCH(id) : null;
+    }
+
+    if (!searchUrl || !query) {
+        return new ContentPager([], false);
+    }
+
+    return createAudiobookSearchPager(searchUrl, query, null, filters, fallbackCb, order);
+};
+
+/**
+ * Get search suggestions for autocomplete
+ * @param {string} query Search query
+ * @returns {string[]} Array of suggestion strings
+ */
+source.searchSuggestions = function (query) {
+    if (!query || query.trim().length === 0) {
+        return [];
+    }
+
+    try {
+        const url = `${URLS.API_AUTOCOMPLETE}?q=${encodeURIComponent(query.trim())}`;
+        const response = httpGET(url);
+        return Array.isArray(response?.data) ? response.data : [];
+    } catch (error) {
+        if (IS_TESTING) {
+            bridge.log(`Error fetching search suggestions: ${error.message}`);
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Check if URL is a channel (author or reader)
+ * @param {string} url URL to check
+ * @returns {boolean} True if URL is a channel
+ */
+source.isChannelUrl = function (url) {
+    return REGEX.AUTHOR_CHANNEL.test(url) || REGEX.TRANSLATOR_CHANNEL.test(url) || REGEX.READER_CHANNEL.test(url);
+};
+
+/**
+ * Get channel information (author, translator or reader)
+ * @param {string} url Channel URL
+ * @returns {PlatformChannel} Channel information
+ */
+source.getChannel = function (url) {
+    if (REGEX.TRANSLATOR_CHANNEL.test(url)) {
+        return getAuthorChannel(url, CONTRIBUTOR_ROLE.TRANSLATOR);
+    } else if (REGEX.AUTHOR_CHANNEL.test(url)) {
+        return getAuthorChannel(url);
+    } else if (REGEX.READER_CHANNEL.test(url)) {
+        return getReaderChannel(url);
+    }
+
+    // Fallback for unknown channel type
+    return new PlatformChannel({
+        id: new PlatformID(PLATFORM, url, config.id),
+        name: 'Unknown Channel',
+        thumbnail: DEFAULT_IMAGES.AUTHOR_AVATAR,
+        subscribers: NO_SUBSCRIBERS,
+        description: '',
+        url,
+        links: {}
+    });
+};
+/**
+ * Get channel capabilities: readers can be browsed by book or by recorded section,
+ * books can be filtered like search results and by solo or group recording
+ * @returns {ResultCapabilities} Channel capabilities
+ */
+source.getChannelCapabilities = function () {
+    return new ResultCapabilities(
+        [Type.Feed.Mixed, Type.Feed.Videos],
+        CHANNEL_ORDERS,
+        [
+            new FilterGroup(
+                "View",
+                [
+                    new FilterCapability("Books", CHANNEL_VIEW.BOOKS),
+                    new FilterCapability("Recorded sections (readers)", CHANNEL_VIEW.SECTIONS)
+                ],
+                false,
+                "view"
+            ),
+            ...getBookFilterGroups(),
+            new FilterGroup(
+                "Recording",
+                [
+                    new FilterCapability("Solo", RECORDING_TYPE.SOLO),
+                    new FilterCapability("Group", RECORDING_TYPE.GROUP)
+                ],
+                false,
+                "recording"
+            )
+        ]
+    );
+};
+
+/**
+ * Get channel contents (books by author, translator or reader, or sections recorded by a reader)
+ * @param {string} url Channel URL
+ * @param {string} type Feed type, Type.Feed.Videos lists a reader's sections
+ * @param {string} order Sort order of the books, one of CHANNEL_ORDERS
+ * @param {Object} filters Channel filters: view=sections lists a reader's sections, language, genre and recording narrow the books
+ * @returns {ContentPager} Paged results for channel contents
+ */
+source.getChannelContents = function (url, type, order, filters) {
+    if (REGEX.TRANSLATOR_CHANNEL.test(url)) {
+        return getAuthorAudiobooks(url, order, filters, CONTRIBUTOR_ROLE.TRANSLATOR);
+    } else if (REGEX.AUTHOR_CHANNEL.test(url)) {
+        return getAuthorAudiobooks(url, order, filters);
+    } else if (REGEX.READER_CHANNEL.test(url)) {
+        const showSections = type === Type.Feed.Videos
+            || [].concat(filters?.view || []).includes(CHANNEL_VIEW.SECTIONS);
+
+        return showSections ? getReaderSections(url) : getReaderAudiobooks(url, order, filters);
+    }
+
+    return new ContentPager([], false);
+};
+/**
+ * Get audiobook details (playlist)
+ * @param {string} url Audiobook URL
+ * @returns {PlatformPlaylistDetails} Audiobook details
+ */
+source.getPlaylist = function (url) {
+    if (url.startsWith(URLS.INTERNAL_CONTINUE_LISTENING)) {
+        return getContinueListeningDetails();
+    }
+    if (url.startsWith(URLS.INTERNAL_HOME_GROUP)) {
+        return getHomeGroupDetails(url);
+    }
+    return getAudiobookDetails(resolveDeepLink(url));
+};
+
+/**
+ * Check if URL is a chapter details URL
+ * @param {string} url URL to check
+ * @returns {boolean} True if URL is a chapter URL
+ */
+source.isContentDetailsUrl = function (url) {
+    if (REGEX.FULL_BOOK.test(url)) {
+        return true;
+    }
+    // Direct links to the audio files of LibriVox archive.org items
+    if (isLibriVoxArchiveLink(url, REGEX.ARCHIVE_ORG_FILE)) {
+        return true;
+    }
+    if (url.startsWith('https://grayjay.internal/librivox/book/') && url.includes('?chapter=')) {
+        return true;
+    }
+    return REGEX.CONTENT_DETAILS.test(url);
+};
+
+/**
+ * Get chapter details
+ * @param {string} url Chapter URL
+ * @returns {PlatformVideoDetails} Chapter details
+ */
+source.getContentDetails = function (url) {
+    url = resolveDeepLink(url);
+
+    if (REGEX.FULL_BOOK.test(url)) {
+        return getFullBookDetails(url);
+    }
+
+    const { bookId, chapterId, sectionId } = parseChapterUrl(url);
+
+    // Get audiobook details
+    let id;
+
+    if (bookId) {
+        id = bookId;
+
+    } else {
+        id = extractSlug(url);
+    }
+
+    let playlistInfo = fetchAudiobookDetailsFromApi(id);
+
+    // Validate playlistInfo has chapters
+    if (!playlistInfo || !Array.isArray(playlistInfo.chapters)) {
+        throw new ScriptException(`No chapters found for audiobook`);
+    }
+
+    // Find chapter by section ID when the link has one, otherwise by index
+    const chapter = (sectionId && playlistInfo.chapters.find(c => c.section_id == sectionId))
+        || playlistInfo.chapters.find(c => c.chapterId == chapterId);
+
+    if (!chapter) {
+        throw new ScriptException(`Chapter not found: ${chapterId}`);
+    }
+
+    if (!chapter.chapterFile) {
+        throw new ScriptException(`"${chapter.chapterName}" hasn't been catalogued yet`);
+    }
+
+    const authorsText = formatAuthorsText(playlistInfo);
+
+    // Format readers information with links, as a cast list for dramatic readings
+    let readersText = formatCastText(chapter, playlistInfo.cast);
+    if (!readersText && chapter.readers && chapter.readers.length > 0) {
+        readersText = "\n\nRead by: ";
+        readersText += chapter.readers.map(reader => {
+            if (reader.url) {
+                return `<a href="${reader.url}">${reader.name}</a>`;
+            }
+            return reader.name;
+        }).join(", ");
+    }
+
+    // Create combined description
+    const combinedDescription = `${playlistInfo.description || ''}\n\n${authorsText}${readersText}${formatBookMetadataText(playlistInfo.metadata)}${formatRatingText(playlistInfo.rating)}${formatVersionsText(id)}`;
+
+    const sources = buildChapterAudioSources(chapter, playlistInfo.iarchiveId);
+
+    rememberBookForProgress(id, playlistInfo);
+
+    if (sources.length === 0) {
+        throw new ScriptException(`No audio sources found for chapter`);
+    }
+
+    return new PlatformVideoDetails({
+        id: new PlatformID(PLATFORM, `${bookId}_chapter_${chapter.chapterId}`, config.id),
+        name: chapter.chapterName,
+        description: combinedDescription,
+        author: chapterAuthorLink(chapter, playlistInfo),
+        url: url,
+        duration: chapter.duration,
+        thumbnails: new Thumbnails([new Thumbnail(playlistInfo.bookCoverUrl)]),
+        video: new UnMuxVideoSourceDescriptor([], sources),
+        viewCount: playlistInfo.viewCount
+    });
+};
+
+/**
+ * Get chapter markers for the whole-book content item, or the resume marker of a chapter left part-way
+ * @param {string} url Whole-book or chapter URL
+ * @returns {Object[]} Chapters with start and end times in seconds
+ */
+source.getContentChapters = function (url) {
+    const match = url.match(REGEX.FULL_BOOK);
+
+    if (!match) {
+        return getResumeChapters(url);
+    }
+
+    const playlistInfo = fetchAudiobookDetailsFromApi(match[1]);
+    const part = getWholeBookPart(playlistInfo, url);
+
+    return part ? buildBookChapters(part.chapters, part.length) : [];
+};
+
+/**
+ * Get books to play next for a book or chapter
+ * @param {string} url Book, chapter or whole-book URL
+ * @returns {VideoPager} Ranked recommendations
+ */
+source.getContentRecommendations = function (url) {
+    const bookId = extractBookId(url);
+
+    if (!bookId || url.startsWith(URLS.INTERNAL_CONTINUE_LISTENING) || url.startsWith(URLS.INTERNAL_HOME_GROUP)) {
+        return new VideoPager([], false);
+    }
+
+    let chapterIndex = null;
+    if (source.isContentDetailsUrl(url) && !REGEX.FULL_BOOK.test(url)) {
+        chapterIndex = parseInt(parseChapterUrl(url).chapterId) || 0;
+    }
+
+    try {
+        return new VideoPager(getBookRecommendations(bookId, chapterIndex), false);
+    } catch (error) {
+        logError(`Error fetching recommendations for book ${bookId}: ${error.message}`);
+        return new VideoPager([], false);
+    }
+};
+
+/**
+ * Get a playback tracker that records listening progress for a chapter or a whole-book item
+ * @param {string} url Chapter or whole-book URL
+ * @returns {ListeningProgressTracker|null} Playback tracker, or null for other URLs
+ */
+source.getPlaybackTracker = function (url) {
+    const fullBookMatch = url.match(REGEX.FULL_BOOK);
+
+    if (fullBookMatch) {
+        // The details are cached by getFullBookDetails
+        const part = getWholeBookPart(fetchAudiobookDetailsFromApi(fullBookMatch[1]), url);
+        if (!part || part.chapters.length === 0) {
+            return null;
+        }
+
+        const sectionMarkers = buildBookChapters(part.chapters, part.length).map((marker, index) => ({
+            ...marker,
+            chapterId: part.chapters[index].chapterId,
+            duration: part.chapters[index].duration
+        }));
+        return new ListeningProgressTracker(fullBookMatch[1], sectionMarkers[0].chapterId, sectionMarkers);
+    }
+
+    if (!source.isContentDetailsUrl(url)) {
+        return null;
+    }
+
+    const { bookId, chapterId, sectionId } = parseChapterUrl(url);
+    const id = bookId || extractSlug(url);
+
+    if (!id) {
+        return null;
+    }
+
+    let chapterIndex = parseInt(chapterId) || 0;
+
+    // Section links carry the section ID, the book record is cached by getContentDetails
+    if (sectionId) {
+        try {
+            const sectionIndex = fetchAudiobookRecord(id).sections.findIndex(s => s.id == sectionId);
+            if (sectionIndex >= 0) {
+                chapterIndex = sectionIndex;
+            }
+        } catch (error) {
+            logError(`Error resolving section ${sectionId}: ${error.message}`);
+        }
+    }
+
+    return new ListeningProgressTracker(id, chapterIndex);
+};
+
+/**
+ * Get the forum discussion of a book as comments
+ * @param {string} url Book, chapter or whole-book URL
+ * @returns {CommentPager} Paged forum posts
+ */
+source.getComments = function (url) {
+    const bookId = extractBookId(url);
+
+    if (!bookId || url.startsWith(URLS.INTERNAL_CONTINUE_LISTENING) || url.startsWith(URLS.INTERNAL_HOME_GROUP)) {
+        return new CommentPager([], false);
+    }
+
+    let book;
+    try {
+        book = fetchAudiobookRecord(bookId);
+    } catch (error) {
+        logError(`Error fetching forum thread for book ${bookId}: ${error.message}`);
+        return new CommentPager([], false);
+    }
+
+    // Archive.org reviews come first, followed by the forum thread
+    const reviews = fetchArchiveReviews(extractArchiveId(book))
+        .map(review => archiveReviewToComment(review, url));
+
+    const threadUrl = normalizeForumThreadUrl(book.url_forum);
+
+    if (!threadUrl) {
+        return new CommentPager(reviews, false);
+    }
+
+    const pager = new ForumCommentPager({
+        context: {
+            contextUrl: url,
+            threadUrl,
+            start: 0
+        }
+    }).nextPage();
+
+    pager.results = [...reviews, ...pager.results];
+
+    return pager;
+};
+
+/**
+ * Get the forum posts quoting a comment. Replies are only looked up on the parent's forum page,
+ * posts quoting a post from an earlier page are listed as top-level comments instead.
+ * @param {Comment} comment Parent comment
+ * @returns {CommentPager} Replies from the same forum page
+ */
+source.getSubComments = function (comment) {
+    const { threadUrl, pageUrl, postId } = comment?.context || {};
+
+    if (!threadUrl || !postId) {
+        return new CommentPager([], false);
+    }
+
+    try {
+        const { posts } = parseForumPage(httpGET({ url: pageUrl, parseResponse: false }));
+
+        const replies = posts
+            .filter(post => post.quotedPostIds.includes(postId))
+            .map(post => forumPostToComment(post, comment.contextUrl, threadUrl, pageUrl, posts));
+
+        return new CommentPager(replies, false);
+    } catch (error) {
+        logError(`Error fetching forum replies: ${error.message}`);
+        return new CommentPager([], false);
+    }
+};
+
+function extractSlug(url) {
+    // Extract the book slug from various LibriVox URL formats:
+    // - /book-title/
+    // - /book-title
+    // - /book-title-by-author/
+    // - /book-title/?params
+    // - /book-title-by-author/?params
+    const match = url.match(/\/([a-zA-Z0-9-]+)(?:-by-[a-zA-Z0-9-]+)?\/?(?:\?|$)/);
+    return match ? match[1] : null;
+}
+
+// ====================== CUSTOM PAGER IMPLEMENTATIONS ======================
+
+/**
+ * Custom home content pager with latest releases first.
+ * Every language and genre selection is a separate feed; their pages are merged newest first.
+ * Trending, genre spotlight and coming soon books are labelled playlists between them.
+ */
+class HomeContentPager extends ContentPager {
+    constructor() {
+        super([], true, { offset: 0 });
+        this.page = 0;
+        this.pageSize = ITEMS_PER_PAGE;
+        this.seenIds = new Set();
+        this.feeds = null;
+        this.nextPage();
+    }
+
+    nextPage() {
+        this.results = [];
+        this.pageBooks = [];
+        const { languages, genres, excludedGenres } = getHomeSelections();
+        const isAllowed = (book) => !isBookInGenres(book, excludedGenres);
+
+        // One feed per language and genre pair, keyed by their names
+        if (!this.feeds) {
+            this.feeds = {};
+            languages.forEach(language => genres.forEach(genre => {
+                this.feeds[`${language}/${genre}`] = { language, genre, offset: 0, buffer: [], done: false };
+            }));
+        }
+        const feeds = Object.values(this.feeds);
+
+        // Start the first page with the books the user is listening to and the trending books
+        if (this.page === 0) {
+            const continueListening = continueListeningToPlaylist();
+            if (continueListening) {
+                this.results.push(continueListening);
+            }
+
+            this.addGroup(HOME_GROUP.TRENDING);
+
+            // "Coming soon": in-progress projects, opt-in
+            if (isSettingEnabled(settings.showComingSoon)) {
+                this.addGroup(HOME_GROUP.COMING_SOON, { languages });
+            }
+        }
+
+        try {
+            // Top up every feed that can't fill a page on its own
+            const requests = feeds
+                .filter(feed => !feed.done && feed.buffer.length < this.pageSize)
+                .map(feed => ({
+                    feed,
+                    params: { limit: this.pageSize, offset: feed.offset, language: feed.language, genre: feed.genre }
+                }));
+
+            const feedPages = fetchHomeFeedPages(requests.map(request => request.params));
+
+            requests.forEach((request, index) => {
+                request.feed.buffer.push(...feedPages[index].books);
+                // Official API fallback pages can read further ahead to fill up after local filtering
+                request.feed.offset = feedPages[index].nextOffset;
+                if (!feedPages[index].hasMore) {
+                    request.feed.done = true;
+                }
+            });
+
+            // The official API can only list the catalogue oldest first
+            if (this.page === 0 && Date.now() < proxyUnavailableUntil) {
+                showToast('LibriVox API unavailable: the home feed shows the catalogue oldest first');
+            }
+
+            // "Just catalogued": the selected feeds, newest first
+            this.addBooks(this.takeNewestBooks(isAllowed));
+
+            const playlists = this.pageBooks
+                .map(audiobookToPlaylist)
+                .filter(playlist => playlist?.id);
+            this.results.push(...playlists);
+
+            this.hasMore = feeds.some(feed => !feed.done || feed.buffer.length > 0);
+        } catch (error) {
+            logError(`Error parsing more books: ${error.message}`);
+            this.hasMore = false;
+        }
+
+        // Genre spotlight, a different genre and selected language on every page and every day
+        const spotlightGenre = getSpotlightGenre(this.page, [...genres, ...excludedGenres]);
+        if (spotlightGenre) {
+            const language = languages[this.page % languages.length];
+            this.addGroup(HOME_GROUP.SPOTLIGHT, { languages: [language], genre: spotlightGenre });
+        }
+
+        this.page++;
+        return this;
+    }
+
+    /**
+     * Add a labelled group playlist to the current page. Books already shown on the home page
+     * are left out of the group, and the group's books out of the rest of the home page.
+     * Groups are optional: when one fails, the page keeps the newest books and the other groups.
+     * @param {string} group One of HOME_GROUP
+     * @param {Object} [params] Languages and genre of the group
+     */
+    addGroup(group, params = {}) {
+        try {
+            const excludedIds = fetchHomeGroupBooks(homeGroupUrl(group, params))
+                .map(book => `${book.id}`)
+                .filter(id => this.seenIds.has(id));
+            const url = homeGroupUrl(group, { ...params, excludedIds });
+
+            const playlist = homeGroupToPlaylist(url);
+            if (playlist) {
+                this.results.push(playlist);
+                fetchHomeGroupBooks(url).forEach(book => this.seenIds.add(`${book.id}`));
+            }
+        } catch (error) {
+            logError(`Error fetching home group ${group}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Merge the feed buffers newest first (the feeds are sorted by descending ID).
+     * Stops early when a feed that still has pages runs dry, its next page may hold newer books.
+     * @param {Function} isAllowed Filter for excluded genres
+     * @returns {Object[]} Up to one page of books, without duplicates
+     */
+    takeNewestBooks(isAllowed) {
+        const books = [];
+        const ids = new Set();
+
+        const feeds = Object.values(this.feeds);
+
+        while (books.length < this.pageSize) {
+            if (feeds.some(feed => !feed.done && feed.buffer.length === 0)) {
+                break;
+            }
+
+            const candidates = feeds.filter(feed => feed.buffer.length > 0);
+            if (candidates.length === 0) {
+                break;
+            }
+
+            const newest = candidates.reduce((best, feed) =>
+                (parseInt(feed.buffer[0]?.id) || 0) > (parseInt(best.buffer[0]?.id) || 0) ? feed : best);
+            const book = newest.buffer.shift();
+
+            if (!book?.id || ids.has(`${book.id}`) || this.seenIds.has(`${book.id}`) || !isAllowed(book)) {
+                continue;
+            }
+
+            ids.add(`${book.id}`);
+            books.push(book);
+        }
+
+        return books;
+    }
+
+    /**
+     * Add books to the current page, skipping books already shown on an earlier page
+     * @param {Object[]} books Audiobook records
+     */
+    addBooks(books) {
+        books.forEach(book => {
+            if (!book?.id || this.seenIds.has(`${book.id}`)) {
+                return;
+            }
+
+            this.seenIds.add(`${book.id}`);
+            this.pageBooks.push(book);
+        });
+    }
+}
+
+/**
+ * Search pager for audiobooks
+ */
+class SearchAudiobooksPager extends VideoPager {
+    constructor({ videos = [], hasMore = true, context = {} } = {}) {
+        super(videos, hasMore, context);
+    }
+
+    nextPage() {
+        let offset = this.context.offset ?? 0;
+        let searchResults = [];
+        const params = {
+            limit: this.context.limit || ITEMS_PER_PAGE,
+            offset,
+            q: this.context.query?.toLowerCase()?.trim(),
+        };
+
+        // The API matches a genre exactly, so a parent genre isn't sent: it and its subgenres are picked out locally
+        const selectedGenres = [].concat(this.context.filters?.genre || []);
+        const expandedGenres = expandGenreSelection(selectedGenres);
+        const localGenres = expandedGenres.length > selectedGenres.length ? expandedGenres : null;
+
+        // Add filters if present
+        if (this.context.filters) {
+            if (this.context.filters.language) {
+                params.language = this.context.filters.language;
+            }
+            if (this.context.filters.genre && !localGenres) {
+                params.genre = this.context.filters.genre;
+            }
+        }
+
+        const comingSoon = [].concat(this.context.filters?.status || []).includes(BOOK_STATUS.IN_PROGRESS);
+        if (comingSoon) {
+            params.status = BOOK_STATUS.IN_PROGRESS;
+        }
+
+        // Dramatic readings are filed under their own genre; with another genre selected they are picked out locally
+        const dramaticOnly = [].concat(this.context.filters?.type || []).includes(PROJECT_TYPE.DRAMATIC);
+        if (dramaticOnly && !params.genre && !localGenres) {
+            params.genre = DRAMATIC_READINGS_GENRE;
+        }
+
+        const apiSort = SEARCH_ORDER_API_SORT[this.context.order];
+
+        let nextOffset = offset + params.limit;
+        let hasMore = false;
+
+        try {
+            const fallbackCb = this.context.fallbackCb;
+            const fetchPage = (pageOffset) => {
+                const pageParams = { ...params, offset: pageOffset };
+                const queryParams = objectToUrlEncodedString(apiSort ? { ...pageParams, ...apiSort } : pageParams);
+                const response = apiGET(`${this.context.baseUrl}?${queryParams}`, fallbackCb ? () => fallbackCb(pageParams) : null);
+                const books = response.data || [];
+
+                // Official API fallbacks filter locally and page in their own offsets
+                return {
+                    books,
+                    nextOffset: response.nextOffset ?? pageOffset + params.limit,
+                    hasMore: response.hasMore ?? books.length === params.limit
+                };
+            };
+
+            // Books are partly picked out locally, so keep reading pages until this one is filled
+            // Audiobooks in-progress don't have URL, they are only listed under "Coming soon"; abandoned ones nowhere
+            const response = fetchFilteredPage(fetchPage, { limit: params.limit, offset }, books => books
+                .filter(b => comingSoon ? isInProgressBook(b) : b.url_librivox)
+                .filter(b => !localGenres || isBookInGenres(b, localGenres))
+                .filter(b => !dramaticOnly || isDramaticReading(b))
+                .filter(this.context.filterCb || (() => true)));
+
+            nextOffset = response.nextOffset;
+            hasMore = response.hasMore;
+
+            // Other recordings of a work already listed are folded into its entry
+            const pageBooks = collapseVersions(sortBooksInPage(response.data, this.context.order), this.context.seenWorks);
+
+            searchResults = pageBooks.map(audiobookToPlaylist);
+        } catch (error) {
+            logError(`Error parsing search results: ${error.message}`);
+            return new SearchAudiobooksPager({
+                videos: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+
+        return new SearchAudiobooksPager({
+            videos: searchResults,
+            hasMore,
+            context: {
+                ...this.context,
+                offset: nextOffset,
+                filters: this.context.filters // Preserve filters for pagination
+            },
+        });
+    }
+}
+
+/**
+ * Reader audiobooks pager - provides proper pagination for a reader's audiobook list using API
+ */
+class ReaderAudiobooksPager extends VideoPager {
+    constructor({ videos = [], hasMore = true, context = {} } = {}) {
+        super(videos, hasMore, context);
+    }
+
+    nextPage() {
+        const currentPage = this.context.page || 1;
+        const readerId = this.context.readerId;
+        const limit = ITEMS_PER_PAGE;
+        const offset = this.context.offset ?? (currentPage - 1) * limit;
+
+        if (!readerId) {
+            logError('Reader ID is required for ReaderAudiobooksPager');
+            return new ReaderAudiobooksPager({
+                videos: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+
+        try {
+            // Get audiobooks narrated by this reader using the /api/v3/readers/{id}/audiobooks endpoint
+            const fetchPage = (pageOffset) => {
+                const audiobooksUrl = channelAudiobooksUrl(URLS.API_READERS_AUDIOBOOKS(readerId), {
+                    limit,
+                    offset: pageOffset,
+                    filters: this.context.filters,
+                    order: this.context.order
+                });
+                const prefetchedPage = cacheGet(`page:${audiobooksUrl}`);
+                const audiobooksResponse = prefetchedPage ? { data: prefetchedPage } : httpGET(audiobooksUrl);
+
+                // The /api/v3/readers/{id}/audiobooks endpoint returns audiobooks directly in the 'data' array
+                const audiobooks = audiobooksResponse.data;
+
+                if (!audiobooks || !Array.isArray(audiobooks)) {
+                    throw new ScriptException(`Invalid audiobooks response format for reader ${readerId}`);
+                }
+
+                return { books: audiobooks, nextOffset: pageOffset + limit, hasMore: audiobooks.length === limit };
+            };
+
+            // Filters are partly applied locally, so keep reading pages until this one is filled
+            const response = fetchFilteredPage(fetchPage, { limit, offset }, audiobooks => applyChannelFilters(
+                audiobooks
+                    .filter(audiobook => audiobook && audiobook.id)
+                    .filter(audiobook => !REGEX.COLLECTION.test(audiobook.url_librivox || '')),
+                this.context.filters
+            ));
+
+            const pageBooks = collapseVersions(sortBooksInPage(response.data, this.context.order), this.context.seenWorks);
+
+            const results = pageBooks
+                .map(audiobookToPlaylist)
+                .filter(playlist => playlist !== null);
+
+            return new ReaderAudiobooksPager({
+                videos: results,
+                hasMore: response.hasMore,
+                context: {
+                    ...this.context,
+                    page: currentPage + 1,
+                    offset: response.nextOffset
+                }
+            });
+
+        } catch (error) {
+            logError(`Error fetching reader audiobooks from /api/v3/readers/${readerId}/audiobooks: ${error.message}`);
+            return new ReaderAudiobooksPager({
+                videos: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+    }
+}
+
+/**
+ * Reader sections pager - pages through the individual sections a reader recorded
+ */
+class ReaderSectionsPager extends VideoPager {
+    constructor({ videos = [], hasMore = true, context = {} } = {}) {
+        super(videos, hasMore, context);
+    }
+
+    nextPage() {
+        const currentPage = this.context.page || 1;
+        const readerId = this.context.readerId;
+        const limit = ITEMS_PER_PAGE;
+        const offset = (currentPage - 1) * limit;
+
+        if (!readerId) {
+            logError('Reader ID is required for ReaderSectionsPager');
+            return new ReaderSectionsPager({
+                videos: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+
+        try {
+            const sectionsUrl = `${URLS.API_READERS_SECTIONS(readerId)}?limit=${limit}&offset=${offset}`;
+            const sectionsResponse = httpGET(sectionsUrl);
+            const sections = sectionsResponse?.data;
+
+            if (!sections || !Array.isArray(sections)) {
+                logError(`Invalid sections response format for reader ${readerId}`);
+                return new ReaderSectionsPager({
+                    videos: [],
+                    hasMore: false,
+                    context: this.context
+                });
+            }
+
+            const results = sections
+                .map(section => readerSectionToVideo(section, readerId))
+                .filter(video => video !== null);
+
+            // Determine if there are more pages
+            const hasMorePages = sections.length === limit;
+
+            return new ReaderSectionsPager({
+                videos: results,
+                hasMore: hasMorePages,
+                context: {
+                    ...this.context,
+                    page: currentPage + 1
+                }
+            });
+
+        } catch (error) {
+            logError(`Error fetching reader sections from /api/v3/readers/${readerId}/sections: ${error.message}`);
+            return new ReaderSectionsPager({
+                videos: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+    }
+}
+
+/**
+ * Author audiobooks pager - provides proper pagination for an author's audiobook list using API,
+ * or for the works a translator translated when the context role is translator
+ */
+class AuthorAudiobooksPager extends VideoPager {
+    constructor({ videos = [], hasMore = true, context = {} } = {}) {
+        super(videos, hasMore, context);
+    }
+
+    nextPage() {
+        const currentPage = this.context.page || 1;
+        const authorId = this.context.authorId;
+        const limit = ITEMS_PER_PAGE;
+        const offset = this.context.offset ?? (currentPage - 1) * limit;
+
+        if (!authorId) {
+            logError('Author ID is required for AuthorAudiobooksPager');
+            return new AuthorAudiobooksPager({
+                videos: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+
+        try {
+            const translator = this.context.role === CONTRIBUTOR_ROLE.TRANSLATOR;
+            const fetchPage = (pageOffset) => {
+                if (translator) {
+                    return fetchTranslationsPage(authorId, { limit, offset: pageOffset });
+                }
+
+                const audiobooksUrl = channelAudiobooksUrl(URLS.API_AUTHORS_AUDIOBOOKS(authorId), {
+                    limit,
+                    offset: pageOffset,
+                    filters: this.context.filters,
+                    order: this.context.order
+                });
+                const prefetchedPage = cacheGet(`page:${audiobooksUrl}`);
+                let audiobooksResponse;
+
+                if (prefetchedPage) {
+                    audiobooksResponse = { data: prefetchedPage };
+                } else {
+                    audiobooksResponse = apiGET(audiobooksUrl, () => officialAuthorAudiobooks(authorId, {
+                        limit,
+                        offset: pageOffset,
+                        language: this.context.filters?.language,
+                        genre: this.context.filters?.genre
+                    }));
+                }
+                const audiobooks = audiobooksResponse?.data;
+
+                if (!audiobooks || !Array.isArray(audiobooks)) {
+                    throw new ScriptException(`Invalid audiobooks response format for author ${authorId}`);
+                }
+
+                // Official API fallbacks filter locally and page in their own offsets
+                return {
+                    books: audiobooks,
+                    nextOffset: audiobooksResponse.nextOffset ?? pageOffset + limit,
+                    hasMore: audiobooksResponse.hasMore ?? audiobooks.length === limit
+                };
+            };
+
+            // Filters are partly applied locally, so keep reading pages until this one is filled
+            const response = fetchFilteredPage(fetchPage, { limit, offset }, audiobooks => applyChannelFilters(
+                audiobooks.filter(audiobook => audiobook && audiobook.id),
+                this.context.filters
+            ));
+
+            const pageBooks = collapseVersions(sortBooksInPage(response.data, this.context.order), this.context.seenWorks);
+
+            const results = pageBooks
+                .map(audiobookToPlaylist)
+                .filter(playlist => playlist !== null);
+
+            return new AuthorAudiobooksPager({
+                videos: results,
+                hasMore: response.hasMore,
+                context: {
+                    ...this.context,
+                    page: currentPage + 1,
+                    offset: response.nextOffset
+                }
+            });
+
+        } catch (error) {
+            logError(`Error fetching author audiobooks from /api/v3/authors/${authorId}/audiobooks: ${error.message}`);
+            return new AuthorAudiobooksPager({
+                videos: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+    }
+}
+
+/**
+ * Channel search pager - pages through matching authors and readers side by side
+ */
+class ChannelSearchPager extends ChannelPager {
+    constructor({ channels = [], hasMore = true, context = {} } = {}) {
+        super(channels, hasMore, context);
+    }
+
+    nextPage() {
+        const { query, offset, authorsDone, readersDone } = this.context;
+        const limit = ITEMS_PER_PAGE;
+        const channels = [];
+
+        let authorsHasMore = false;
+        if (!authorsDone) {
+            const authors = searchAuthors(query, limit, offset);
+            channels.push(...authors.map(authorToChannel));
+            authorsHasMore = authors.length === limit;
+        }
+
+        let readersHasMore = false;
+        if (!readersDone) {
+            const readers = searchReaders(query, limit, offset);
+            channels.push(...readers.map(readerToChannel));
+            readersHasMore = readers.length === limit;
+        }
+
+        return new ChannelSearchPager({
+            channels,
+            hasMore: authorsHasMore || readersHasMore,
+            context: {
+                ...this.context,
+                offset: offset + limit,
+                authorsDone: !authorsHasMore,
+                readersDone: !readersHasMore
+            }
+        });
+    }
+}
+
+/**
+ * Forum comment pager - pages through a phpBB thread on forum.librivox.org
+ */
+class ForumCommentPager extends CommentPager {
+    constructor({ comments = [], hasMore = true, context = {} } = {}) {
+        super(comments, hasMore, context);
+    }
+
+    nextPage() {
+        const { contextUrl, threadUrl, start } = this.context;
+        const pageUrl = forumPageUrl(threadUrl, start);
+
+        try {
+            const html = httpGET({ url: pageUrl, parseResponse: false });
+            const { posts, nextStart } = parseForumPage(html);
+
+            // Posts quoting a post on the same page are listed as its replies (see getSubComments), not again here
+            const pagePostIds = posts.map(post => post.postId);
+            const comments = posts
+                .filter(post => !post.quotedPostIds.some(postId => postId !== post.postId && pagePostIds.includes(postId)))
+                .map(post => forumPostToComment(post, contextUrl, threadUrl, pageUrl, posts));
+
+            return new ForumCommentPager({
+                comments,
+                hasMore: nextStart !== null,
+                context: {
+                    ...this.context,
+                    start: nextStart ?? start
+                }
+            });
+        } catch (error) {
+            logError(`Error fetching forum thread ${pageUrl}: ${error.message}`);
+            return new ForumCommentPager({
+                comments: [],
+                hasMore: false,
+                context: this.context
+            });
+        }
+    }
+}
+
+/**
+ * Playback tracker that stores the last section and position per book in the plugin state.
+ * Whole-book items are tracked by the section playing and the position within it, so they resume like chapters.
+ */
+class ListeningProgressTracker extends PlaybackTracker {
+    constructor(bookId, chapterId, sectionMarkers = null) {
+        super(PLAYBACK_TRACKER_INTERVAL_MS);
+        this.bookId = bookId;
+        this.chapterId = chapterId;
+        this.sectionMarkers = sectionMarkers;
+    }
+
+    /**
+     * Map a playback position to the section playing and the position within it
+     * @param {number} seconds Playback position
+     * @returns {{chapterId: number, position: number}} Chapter index and position in the section
+     */
+    locate(seconds) {
+        if (!this.sectionMarkers) {
+            return { chapterId: this.chapterId, position: seconds };
+        }
+
+        const marker = this.sectionMarkers.filter(section => section.timeStart <= seconds).pop() || this.sectionMarkers[0];
+        // Markers are scaled to the M4B length, positions are kept in section time
+        const markerLength = marker.timeEnd - marker.timeStart;
+        const scale = markerLength > 0 && marker.duration > 0 ? marker.duration / markerLength : 1;
+
+        return { chapterId: marker.chapterId, position: Math.max(0, seconds - marker.timeStart) * scale };
+    }
+
+    onInit(seconds) {
+        const entry = state.progress[this.bookId];
+        const { chapterId, position } = this.locate(seconds);
+
+        // Don't overwrite a saved position if the player starts the section from the beginning
+        if (seconds > 0 || !entry || entry.chapterId !== chapterId) {
+            updateListeningProgress(this.bookId, chapterId, position);
+        }
+    }
+
+    onProgress(seconds, isPlaying) {
+        if (isPlaying) {
+            const { chapterId, position } = this.locate(seconds);
+            updateListeningProgress(this.bookId, chapterId, position);
+        }
+    }
+
+    onConcluded() {
+        const entry = state.progress[this.bookId];
+
+        if (!entry) {
+            return;
+        }
+
+        const lastChapterId = this.sectionMarkers
+            ? this.sectionMarkers[this.sectionMarkers.length - 1].chapterId
+            : this.chapterId;
+
+        // Move on to the next section, or mark the book finished after the last one
+        if (entry.chapterCount > 0 && lastChapterId >= entry.chapterCount - 1) {
+            entry.finished = true;
+            entry.updatedAt = Date.now();
+        } else {
+            updateListeningProgress(this.bookId, lastChapterId + 1, 0);
+        }
+    }
+}
+
+// ====================== CORE FUNCTIONALITY ======================
+
+
+/**
+ * Language and genre filter groups shared by search and channel contents.
+ * Options come from the API catalogue, so new languages and genres show up without a plugin release.
+ * @returns {FilterGroup[]} Filter groups
+ */
+function getBookFilterGroups() {
+    const languages = getCatalogueLanguages();
+    const genres = getCatalogueGenres();
+
+    return [
+        new FilterGroup(
+            "Language",
+            languages.map(lang => new FilterCapability(lang, lang)),
+            false,
+            "language"
+        ),
+        new FilterGroup(
+            "Genre",
+            // Subgenres follow their parent genre and are labelled with it
+            genres.map(genre => new FilterCapability(genre.parent ? `${genre.parent} › ${genre.name}` : genre.name, genre.name)),
+            false,
+            "genre"
+        )
+    ];
+}
+
+/**
+ * Create a search pager for finding audiobooks by specific criteria
+ * @param {string} baseUrl API base URL
+ * @param {string} query Search query
+ * @param {Function} filterCb Optional filter callback
+ * @param {Object} filters Optional filters object (language, genre)
+ * @param {Function} fallbackCb Optional official API request used when the proxy is unavailable
+ * @param {string} order Optional sort order
+ * @returns {SearchAudiobooksPager} Search pager
+ */
+function createAudiobookSearchPager(baseUrl, query, filterCb = () => true, filters = null, fallbackCb = null, order = null) {
+    return new SearchAudiobooksPager({
+        context: {
+            baseUrl,
+            query,
+            filterCb,
+            filters,
+            fallbackCb,
+            order,
+            seenWorks: {},
+            limit: ITEMS_PER_PAGE,
+            offset: 0
+        }
+    }).nextPage();
+}
+
+/**
+ * Search for authors by name
+ * @param {string} query Search query
+ * @param {number} limit Page size
+ * @param {number} offset Page offset
+ * @returns {Object[]} Matching authors
+ */
+function searchAuthors(query, limit, offset) {
+    const params = objectToUrlEncodedString({ q: query, limit, offset });
+    const url = `${URLS.API_AUTHORS_SEARCH}?${params}`;
+
+    try {
+        const response = apiGET(url, () => officialAuthorsSearch(query, limit, offset));
+        return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+        logError(`Error parsing author search results: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Search for readers by name
+ * @param {string} query Search query
+ * @param {number} limit Page size
+ * @param {number} offset Page offset
+ * @returns {Object[]} Matching readers
+ */
+function searchReaders(query, limit, offset) {
+    const params = objectToUrlEncodedString({ q: query, limit, offset });
+    const url = `${URLS.API_READERS_SEARCH}?${params}`;
+
+    try {
+        // The official API has no reader search, without the proxy endpoint only authors are found
+        const response = optionalEndpointGET('readers/search', url, () => ({ data: [] }));
+        return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+        logError(`Error parsing reader search results: ${error.message}`);
+        return [];
+    }
+}
+
+function getAuthorByID(id) {
+    const cached = cacheGet(`author:${id}`);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = apiGET({
+            url: URLS.API_AUTHORS_DETAILS(id),
+            notFoundMessage: `Author not found on LibriVox: ${id}`
+        }, () => officialAuthorDetails(id));
+        if (response.data) {
+            cacheSet(`author:${id}`, response.data, CACHE_TTL_MS.AUTHOR);
+        }
+        return response.data;
+    } catch (error) {
+        logError(`Error fetching author by ID: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Get author or translator channel details
+ * @param {string} url Author or translator URL
+ * @param {string} [role=CONTRIBUTOR_ROLE.AUTHOR] Channel role, CONTRIBUTOR_ROLE.TRANSLATOR for translator channels
+ * @returns {PlatformChannel} Author channel
+ */
+function getAuthorChannel(url, role = CONTRIBUTOR_ROLE.AUTHOR) {
+    const channelId = extractChannelId(url);
+    const translator = role === CONTRIBUTOR_ROLE.TRANSLATOR;
+
+    // Channel contents are requested right after, fetch the first page with the author
+    const firstPageUrl = `${URLS.API_AUTHORS_AUDIOBOOKS(channelId)}?limit=${ITEMS_PER_PAGE}&offset=0`;
+    // Skipped while degraded. Not retried, a failure is left to the regular path and its fallback
+    if (Date.now() >= proxyUnavailableUntil) {
+        const entries = [
+            {
+                key: `author:${channelId}`,
+                request: { url: URLS.API_AUTHORS_DETAILS(channelId), retries: 0 },
+                ttl: CACHE_TTL_MS.AUTHOR,
+                transform: (response) => response?.data
+            }
+        ];
+
+        // Translations are found by searching, see fetchTranslationsPage
+        if (!translator) {
+            entries.push({
+                key: `page:${firstPageUrl}`,
+                request: { url: firstPageUrl, retries: 0 },
+                ttl: CACHE_TTL_MS.PAGE,
+                transform: (response) => Array.isArray(response?.data) ? response.data.map(trimAudiobookRecord) : null
+            });
+        }
+
+        prefetchIntoCache(entries);
+    }
+
+    const author = getAuthorByID(channelId);
+
+    if (!author) {
+        logError(`Author not found for ID: ${channelId}`);
+        return new PlatformChannel({
+            id: new PlatformID(PLATFORM, url, config.id),
+            name: FALLBACK_AUTHOR,
+            thumbnail: DEFAULT_IMAGES.AUTHOR_AVATAR,
+            subscribers: NO_SUBSCRIBERS,
+            description: '',
+            url,
+            links: {}
+        });
+    }
+
+    if (!author.url) {
+        author.url = `${URLS.AUTHOR_BASE}/${author.id}`;
+    }
+
+    const authorName = author.name || FALLBACK_AUTHOR;
+
+    // Translators share their record with authors but get a channel of their own
+    return new PlatformChannel({
+        id: new PlatformID(PLATFORM, translator ? url : author.url, config.id),
+        name: translator ? `${authorName} (translator)` : authorName,
+        thumbnail: author?.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR || '',
+        subscribers: NO_SUBSCRIBERS,
+        description: translator
+            ? `Works translated by ${authorName} and recorded by LibriVox volunteers.\n\n${author?.description || ''}`.trim()
+            : author?.description || '',
+        url,
+        links: buildAuthorLinks(author)
+    });
+}
+
+/**
+ * Fetch a page of the works a translator translated. The API has no listing of translations,
+ * so the catalogue is searched for the translator's name and the results narrowed down to
+ * the books whose translators include them.
+ * @param {string} translatorId Author ID of the translator
+ * @param {{limit: number, offset: number}} paging Page size and offset in the search results
+ * @returns {{books: Object[], nextOffset: number, hasMore: boolean}} Translated books of the page
+ */
+function fetchTranslationsPage(translatorId, { limit, offset }) {
+    const translator = getAuthorByID(translatorId);
+    const name = translator?.last_name || translator?.name;
+
+    if (!name) {
+        return { books: [], nextOffset: offset, hasMore: false };
+    }
+
+    const params = { q: name.toLowerCase(), limit, offset };
+    const response = apiGET(`${URLS.API_AUDIOBOOKS_SEARCH}?${objectToUrlEncodedString(params)}`);
+    const books = Array.isArray(response?.data) ? response.data : [];
+
+    return {
+        books: books.filter(book => (book.translators || []).some(person => person?.id == translatorId)),
+        nextOffset: offset + limit,
+        hasMore: books.length === limit
+    };
+}
+/**
+ * Get reader channel details
+ * @param {string} url Reader URL
+ * @returns {PlatformChannel} Reader channel
+ */
+function getReaderChannel(url) {
+    const readerId = extractReaderIdFromUrl(url);
+
+    // Channel contents are requested right after, fetch the first page with the reader
+    const firstPageUrl = `${URLS.API_READERS_AUDIOBOOKS(readerId)}?limit=${ITEMS_PER_PAGE}&offset=0`;
+    // Skipped while degraded. Not retried, a failure is left to the regular path and its fallback
+    if (Date.now() >= proxyUnavailableUntil) {
+        prefetchIntoCache([
+            {
+                key: `reader:${readerId}`,
+                request: { url: URLS.API_READERS_DETAILS(readerId), retries: 0 },
+                ttl: CACHE_TTL_MS.READER,
+                transform: (response) => response?.data ? toReaderInfo(readerId, response.data) : null
+            },
+            {
+                key: `page:${firstPageUrl}`,
+                request: { url: firstPageUrl, retries: 0 },
+                ttl: CACHE_TTL_MS.PAGE,
+                transform: (response) => Array.isArray(response?.data) ? response.data.map(trimAudiobookRecord) : null
+            }
+        ]);
+    }
+
+    // Fetch reader's profile to get information (cached)
+    const readerInfo = fetchReaderInfo(readerId);
+
+    return new PlatformChannel({
+        id: new PlatformID(PLATFORM, url, config.id),
+        name: `${readerInfo.name} (reader)`,
+        thumbnail: DEFAULT_IMAGES.READER_AVATAR,
+        subscribers: NO_SUBSCRIBERS,
+        description: readerInfo.description || `LibriVox reader with ${readerInfo.bookCount || 'many'} narrated books.`,
+        url,
+        links: {
+            'LibriVox': url
+        }
+    });
+}
+
+/**
+ * Fetch reader information from the API
+ * @param {string} readerId Reader ID
+ * @returns {Object} Reader information
+ */
+function fetchReaderInfo(readerId) {
+    const cached = cacheGet(`reader:${readerId}`);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        // Get reader details from /api/v3/readers/{reader id} endpoint
+        const readerUrl = URLS.API_READERS_DETAILS(readerId);
+        const readerResponse = httpGET({
+            url: readerUrl,
+            notFoundMessage: `Reader not found on LibriVox: ${readerId}`
+        });
+
+        // The /api/v3/readers/{id} endpoint returns the reader data directly in the 'data' field
+        const reader = readerResponse.data;
+
+        if (reader) {
+            const readerInfo = toReaderInfo(readerId, reader);
+
+            cacheSet(`reader:${readerId}`, readerInfo, CACHE_TTL_MS.READER);
+
+            return readerInfo;
+        }
+
+        // Fallback if no reader data
+        return {
+            name: `Reader ${readerId}`,
+            catalogName: `Reader ${readerId}`,
+            forumName: '',
+            totalSections: NO_SUBSCRIBERS,
+            totalMatches: NO_SUBSCRIBERS,
+            description: FALLBACK_READER_DESCRIPTION,
+            bookCount: NO_SUBSCRIBERS
+        };
+
+    } catch (error) {
+        logError(`Error fetching reader info from API: ${error.message}`);
+        return {
+            name: `Reader ${readerId}`,
+            catalogName: `Reader ${readerId}`,
+            forumName: '',
+            totalSections: NO_SUBSCRIBERS,
+            totalMatches: NO_SUBSCRIBERS,
+            description: FALLBACK_READER_DESCRIPTION,
+            bookCount: NO_SUBSCRIBERS
+        };
+    }
+}
+/**
+ * Map reader data from the API to the reader information shown on the channel
+ * @param {string} readerId Reader ID
+ * @param {Object} reader Reader data from /api/v3/readers/{id}
+ * @returns {Object} Reader information
+ */
+function toReaderInfo(readerId, reader) {
+    return {
+        name: reader.display_name || `Reader ${readerId}`,
+        catalogName: reader.display_name || `Reader ${readerId}`,
+        forumName: '',
+        totalSections: reader.section_count || NO_SUBSCRIBERS,
+        totalMatches: reader.audiobook_count || NO_SUBSCRIBERS,
+        description: formatReaderDescription(reader),
+        bookCount: reader.audiobook_count || NO_SUBSCRIBERS
+    };
+}
+
+/**
+ * Get audiobooks by author, or translated by a translator
+ * @param {string} url Author or translator URL
+ * @param {string} [order=null] Sort order, one of CHANNEL_ORDERS
+ * @param {Object} [filters=null] Language, genre and recording filters
+ * @param {string} [role=CONTRIBUTOR_ROLE.AUTHOR] Channel role, CONTRIBUTOR_ROLE.TRANSLATOR lists translations
+ * @returns {AuthorAudiobooksPager} Paged author audiobooks
+ */
+function getAuthorAudiobooks(url, order = null, filters = null, role = CONTRIBUTOR_ROLE.AUTHOR) {
+    const channelId = extractChannelId(url);
+
+    if (!channelId) {
+        logError('Could not extract author ID from URL');
+        return new ContentPager([], false);
+    }
+
+    // Use the new AuthorAudiobooksPager to handle pagination
+    return new AuthorAudiobooksPager({
+        context: {
+            authorId: channelId,
+            role,
+            order,
+            filters,
+            seenWorks: {},
+            page: 1
+        }
+    }).nextPage();
+}
+
+/**
+ * Get audiobooks by reader
+ * @param {string} url Reader URL
+ * @param {string} [order=null] Sort order, one of CHANNEL_ORDERS
+ * @param {Object} [filters=null] Language, genre and recording filters
+ * @returns {ReaderAudiobooksPager} Paged reader audiobooks
+ */
+function getReaderAudiobooks(url, order = null, filters = null) {
+    const readerId = extractReaderIdFromUrl(url);
+
+    if (!readerId) {
+        logError(`Invalid reader URL: ${url}`);
+        return new ContentPager([], false);
+    }
+
+    // Use the new ReaderAudiobooksPager to handle pagination
+    return new ReaderAudiobooksPager({
+        context: {
+            readerId: readerId,
+            order,
+            filters,
+            seenWorks: {},
+            page: 1
+        }
+    }).nextPage();
+}
+
+/**
+ * Build a channel books URL with the API filter and sort parameters.
+ * Without filters or order this is the plain paged URL, so prefetched first pages are found in the cache.
+ * @param {string} baseUrl Author or reader audiobooks endpoint
+ * @param {Object} options Paging, filters and order
+ * @returns {string} Request URL
+ */
+function channelAudiobooksUrl(baseUrl, { limit, offset, filters, order }) {
+    const params = { limit, offset };
+
+    if (filters?.language) {
+        params.language = filters.language;
+    }
+    if (filters?.genre) {
+        params.genre = filters.genre;
+    }
+
+    const apiSort = SEARCH_ORDER_API_SORT[order];
+    return `${baseUrl}?${objectToUrlEncodedString(apiSort ? { ...params, ...apiSort } : params)}`;
+}
+
+/**
+ * Request pages until a page of books passing a local filter is filled.
+ * Filtering a single page would leave it short or empty and stop the pagers early.
+ * @param {Function} fetchPage Fetches the page at an offset, returns {books, nextOffset, hasMore}
+ * @param {{limit: number, offset: number}} paging Page size and offset of the first page
+ * @param {Function} filterBooks Local filter, maps a page of books to the books to keep
+ * @returns {Object} Proxy-shaped response, with the offset of the next page and whether there is one
+ */
+function fetchFilteredPage(fetchPage, { limit, offset }, filterBooks) {
+    const data = [];
+    let hasMore = true;
+
+    for (let request = 0; request < FILL_MAX_REQUESTS && hasMore && data.length < limit; request++) {
+        const page = fetchPage(offset);
+
+        data.push(...filterBooks(page.books));
+        offset = page.nextOffset;
+        hasMore = page.hasMore;
+    }
+
+    return { data, nextOffset: offset, hasMore };
+}
+
+/**
+ * Order a page of books by a sort order the API can't sort by. Only the books of the page
+ * are reordered, which books a page holds is still up to the API.
+ * @param {Object[]} books Audiobook records
+ * @param {string} order Sort order, one of SEARCH_ORDER
+ * @returns {Object[]} Sorted books, the same books for orders the API applies
+ */
+function sortBooksInPage(books, order) {
+    const seconds = (book) => parseInt(book.totaltimesecs) || 0;
+    // Books without a length are listed last either way
+    const byLength = (direction) => (a, b) => (!seconds(a) - !seconds(b)) || direction * (seconds(a) - seconds(b));
+
+    switch (order) {
+        case SEARCH_ORDER.MOST_LISTENED:
+            return mostViewedBooks(books, books.length);
+        case SEARCH_ORDER.RATING:
+            return sortBooksByRating(books);
+        case SEARCH_ORDER.TITLE:
+            return [...books].sort((a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' }));
+        case SEARCH_ORDER.SHORTEST:
+            return [...books].sort(byLength(1));
+        case SEARCH_ORDER.LONGEST:
+            return [...books].sort(byLength(-1));
+        default:
+            return books;
+    }
+}
+
+/**
+ * Narrow a page of channel books down to the selected filters.
+ * Language and genre are checked again in case the endpoint ignored them.
+ * @param {Object[]} books Audiobook records
+ * @param {Object} filters Language, genre and recording filters
+ * @returns {Object[]} Filtered books
+ */
+function applyChannelFilters(books, filters) {
+    const languages = [].concat(filters?.language || []);
+    const genres = expandGenreSelection([].concat(filters?.genre || []));
+    const recordingTypes = [].concat(filters?.recording || []);
+    const bookRecordingTypes = recordingTypes.length > 0 ? resolveRecordingTypes(books) : {};
+
+    return books.filter(book => {
+        if (languages.length > 0 && book.language && !languages.includes(book.language)) {
+            return false;
+        }
+        if (genres.length > 0 && Array.isArray(book.genres) && book.genres.length > 0
+            && !book.genres.some(genre => genres.includes(genre.name))) {
+            return false;
+        }
+        if (recordingTypes.length > 0) {
+            // Books that couldn't be looked up are kept rather than hidden
+            const type = bookRecordingTypes[book.id] ?? null;
+            return type === null || recordingTypes.includes(type);
+        }
+        return true;
+    });
+}
+
+/**
+ * Tell solo recordings from group recordings by the readers of their sections.
+ * List records often come without sections, then the book-level readers or a single section decide.
+ * @param {Object} book Audiobook record
+ * @returns {string|null} One of RECORDING_TYPE, null if the record has no reader information
+ */
+function getRecordingType(book) {
+    const readerIds = new Set();
+    const addReader = (reader) => {
+        const readerId = reader?.id || reader?.reader_id;
+        if (readerId) {
+            readerIds.add(`${readerId}`);
+        }
+    };
+
+    (book.sections || []).forEach(section => (section.readers || []).forEach(addReader));
+
+    if (readerIds.size === 0) {
+        (Array.isArray(book.readers) ? book.readers : []).forEach(addReader);
+    }
+
+    if (readerIds.size === 0) {
+        // A single section has a single reader
+        return parseInt(book.num_sections) === 1 ? RECORDING_TYPE.SOLO : null;
+    }
+    return readerIds.size === 1 ? RECORDING_TYPE.SOLO : RECORDING_TYPE.GROUP;
+}
+
+/**
+ * Get the recording type of each book of a list page. Books whose list record can't tell
+ * are looked up in one batch of detail requests, which also fills the details cache.
+ * @param {Object[]} books Audiobook records
+ * @returns {Object} Map of book ID to one of RECORDING_TYPE, null where it stays unknown
+ */
+function resolveRecordingTypes(books) {
+    const types = {};
+    const unknown = [];
+
+    books.forEach(book => {
+        types[book.id] = getRecordingType(book);
+        if (types[book.id] === null && book.id) {
+            unknown.push(book.id);
+        }
+    });
+
+    // While degraded the official API records come with their sections, and there is no batch to make
+    if (unknown.length === 0 || Date.now() < proxyUnavailableUntil) {
+        return types;
+    }
+
+    prefetchIntoCache(unknown.map(id => ({
+        key: `book:${id}`,
+        request: { url: URLS.API_AUDIOBOOKS_DETAILS.replace('{audioBookId}', id), retries: 0 },
+        ttl: CACHE_TTL_MS.BOOK,
+        transform: (response) => response?.data ? trimAudiobookRecord(response.data) : null
+    })));
+
+    unknown.forEach(id => {
+        const record = cacheGet(`book:${id}`);
+        types[id] = record ? getRecordingType(record) : null;
+    });
+
+    return types;
+}
+
+/**
+ * Get sections recorded by a reader
+ * @param {string} url Reader URL
+ * @returns {ReaderSectionsPager} Paged reader sections
+ */
+function getReaderSections(url) {
+    const readerId = extractReaderIdFromUrl(url);
+
+    if (!readerId) {
+        logError(`Invalid reader URL: ${url}`);
+        return new ContentPager([], false);
+    }
+
+    return new ReaderSectionsPager({
+        context: {
+            readerId: readerId,
+            page: 1
+        }
+    }).nextPage();
+}
+
+/**
+ * Get detailed audiobook information
+ * @param {string} url Audiobook URL
+ * @returns {PlatformPlaylistDetails} Audiobook details
+ */
+function getAudiobookDetails(url) {
+
+    const playlistInfo = getAudiobookCachedDetails(url);
+
+    const author = new PlatformAuthorLink(
+        new PlatformID(PLATFORM, extractChannelId(playlistInfo.authorUrl) || '', config.id),
+        playlistInfo.authorName,
+        playlistInfo.authorUrl,
+        playlistInfo?.authorThumbnailUrl ?? ''
+    );
+
+
+
+    // Extract the book ID from the URL or use a consistent identifier
+    const bookId = extractId(url) || url.split('/').pop();
+    const internalUrl = `https://grayjay.internal/librivox/book/${bookId}`;
+
+    const bookCoverUrl = playlistInfo.bookCoverUrl;
+    const contents = playlistInfo.chapters.map((chapter, idx) => {
+        // Sections of in-progress projects are listed once they are catalogued
+        if (!chapter.chapterFile) {
+            return null;
+        }
+
+        // For chapter URLs, we'll use a similar internal format with chapter parameter
+        const chapterUrl = `${internalUrl}?chapter=${idx}`;
+
+        return new PlatformVideo({
+            id: new PlatformID(PLATFORM, `${bookId}_chapter_${idx}`, config.id),
+            name: chapter.chapterName,
+            author: chapterAuthorLink(chapter, playlistInfo),
+            url: chapterUrl,
+            duration: chapter.duration,
+            thumbnails: new Thumbnails([new Thumbnail(bookCoverUrl)]),
+        });
+    }).filter(Boolean);
+
+    // Offer the whole book as continuous items when archive.org has M4B files, one per part.
+    // The file list comes with the details prefetch, so this adds no request.
+    const wholeBookFiles = findWholeBookFiles(playlistInfo.iarchiveId, false);
+    const wholeBookParts = wholeBookFiles.map((file, partIndex) => {
+        const part = getWholeBookPart(playlistInfo, wholeBookUrl(bookId, partIndex, wholeBookFiles.length), wholeBookFiles);
+
+        return new PlatformVideo({
+            id: new PlatformID(PLATFORM, partIndex === 0 ? `${bookId}_full` : `${bookId}_full_${partIndex + 1}`, config.id),
+            name: part.name,
+            author: author,
+            url: wholeBookUrl(bookId, partIndex, wholeBookFiles.length),
+            duration: Math.round(part.length),
+            thumbnails: new Thumbnails([new Thumbnail(bookCoverUrl)]),
+        });
+    });
+    contents.unshift(...wholeBookParts);
+
+    return new PlatformPlaylistDetails({
+        id: new PlatformID(PLATFORM, internalUrl, config.id),
+        author: author,
+        name: playlistInfo.title,
+        description: `${playlistInfo.description || ''}\n\n${formatAuthorsText(playlistInfo)}${formatBookMetadataText(playlistInfo.metadata)}${formatRatingText(playlistInfo.rating)}${formatBookStatsText(playlistInfo)}${formatVersionsText(bookId)}`,
+        thumbnail: bookCoverUrl,
+        videoCount: contents.length ?? 0,
+        contents: new VideoPager(contents),
+        url: internalUrl,
+    });
+}
+
+/**
+ * Get the whole book (or one part of a multi-part M4B) as a single content item with section chapter markers
+ * @param {string} url Whole-book URL
+ * @returns {PlatformVideoDetails} Whole-book details
+ */
+function getFullBookDetails(url) {
+    const bookId = url.match(REGEX.FULL_BOOK)[1];
+    const playlistInfo = fetchAudiobookDetailsFromApi(bookId);
+
+    const part = getWholeBookPart(playlistInfo, url);
+
+    if (!part) {
+        throw new ScriptException('Whole-book audio is not available for this recording');
+    }
+
+    rememberBookForProgress(bookId, playlistInfo);
+
+    const wholeBookFile = part.file;
+    const duration = Math.round(part.length);
+
+    const size = parseInt(wholeBookFile.size) || 0;
+    const bitrate = parseInt(wholeBookFile.bitrate) * 1000
+        || (size && duration ? Math.round(size * 8 / duration) : 0);
+    const format = ARCHIVE_AUDIO_FORMATS['M4B'];
+
+    const source = new AudioUrlSource({
+        name: size > 0
+            ? `${format.label}, ${formatFileSize(size)} (archive.org)`
+            : `${format.label} (archive.org)`,
+        container: format.container,
+        codec: format.codec,
+        bitrate,
+        url: `${URLS.ARCHIVE_DOWNLOAD}/${playlistInfo.iarchiveId}/${wholeBookFile.name.split('/').map(encodeURIComponent).join('/')}`,
+        language: 'Unknown',
+        duration
+    });
+
+    return new PlatformVideoDetails({
+        id: new PlatformID(PLATFORM, part.index === 0 ? `${bookId}_full` : `${bookId}_full_${part.index + 1}`, config.id),
+        name: part.name,
+        description: `${playlistInfo.description || ''}\n\n${formatAuthorsText(playlistInfo)}${formatBookMetadataText(playlistInfo.metadata)}${formatRatingText(playlistInfo.rating)}${formatVersionsText(bookId)}`,
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, extractChannelId(playlistInfo.authorUrl) || '', config.id),
+            playlistInfo.authorName,
+            playlistInfo.authorUrl,
+            playlistInfo?.authorThumbnailUrl ?? ''
+        ),
+        url,
+        duration,
+        thumbnails: new Thumbnails([new Thumbnail(playlistInfo.bookCoverUrl)]),
+        video: new UnMuxVideoSourceDescriptor([], [source]),
+        viewCount: playlistInfo.viewCount
+    });
+}
+
+/**
+ * Get the "Continue listening" playlist of unfinished books
+ * @returns {PlatformPlaylistDetails} Continue listening details
+ */
+function getContinueListeningDetails() {
+    const contents = getUnfinishedBooks().map(entry => {
+        return new PlatformVideo({
+            id: new PlatformID(PLATFORM, `${entry.bookId}_chapter_${entry.chapterId}`, config.id),
+            name: `${entry.title} (section ${entry.chapterId + 1} of ${entry.chapterCount})`,
+            author: new PlatformAuthorLink(
+                new PlatformID(PLATFORM, extractChannelId(entry.authorUrl) || '', config.id),
+                entry.authorName,
+                entry.authorUrl,
+                entry.authorThumbnailUrl ?? ''
+            ),
+            // The chapter skips ahead to the saved position, see getResumeChapters
+            url: `https://grayjay.internal/librivox/book/${entry.bookId}?chapter=${entry.chapterId}`,
+            thumbnails: new Thumbnails([new Thumbnail(entry.bookCoverUrl)]),
+            datetime: Math.floor(entry.updatedAt / 1000)
+        });
+    });
+
+    return new PlatformPlaylistDetails({
+        id: new PlatformID(PLATFORM, URLS.INTERNAL_CONTINUE_LISTENING, config.id),
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, '', config.id),
+            'LibriVox',
+            URLS.BASE,
+            DEFAULT_IMAGES.AUTHOR_AVATAR
+        ),
+        name: 'Continue listening',
+        videoCount: contents.length,
+        contents: new VideoPager(contents),
+        url: URLS.INTERNAL_CONTINUE_LISTENING,
+    });
+}
+
+/**
+ * Build the "Continue listening" home item, if there are unfinished books
+ * @returns {PlatformPlaylist|null} Continue listening playlist
+ */
+function continueListeningToPlaylist() {
+    const books = getUnfinishedBooks();
+
+    if (books.length === 0) {
+        return null;
+    }
+
+    return new PlatformPlaylist({
+        id: new PlatformID(PLATFORM, URLS.INTERNAL_CONTINUE_LISTENING, config.id),
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, '', config.id),
+            'LibriVox',
+            URLS.BASE,
+            DEFAULT_IMAGES.AUTHOR_AVATAR
+        ),
+        name: 'Continue listening',
+        thumbnail: books[0].bookCoverUrl,
+        videoCount: books.length,
+        url: URLS.INTERNAL_CONTINUE_LISTENING
+    });
+}
+
+// ====================== LISTENING PROGRESS ======================
+
+/**
+ * Keep the book metadata needed to show a book in "Continue listening".
+ * The book is only saved into the listening progress once playback reports a position.
+ * @param {string} bookId Book ID
+ * @param {Object} playlistInfo Audiobook details
+ */
+function rememberBookForProgress(bookId, playlistInfo) {
+    openedBooks[bookId] = {
+        title: playlistInfo.title,
+        authorName: playlistInfo.authorName,
+        authorUrl: playlistInfo.authorUrl,
+        authorThumbnailUrl: playlistInfo.authorThumbnailUrl,
+        bookCoverUrl: playlistInfo.bookCoverUrl,
+        chapterCount: playlistInfo.chapters.length
+    };
+
+    if (state.progress[bookId]) {
+        Object.assign(state.progress[bookId], openedBooks[bookId]);
+    }
+}
+
+/**
+ * Record the current section and position of a book
+ * @param {string} bookId Book ID
+ * @param {number} chapterId Chapter index
+ * @param {number} position Position in seconds
+ */
+function updateListeningProgress(bookId, chapterId, position) {
+    // Only books opened through getContentDetails have the metadata to be listed
+    if (!state.progress[bookId] && !openedBooks[bookId]) {
+        return;
+    }
+
+    const entry = state.progress[bookId] || (state.progress[bookId] = { bookId, ...openedBooks[bookId] });
+
+    entry.chapterId = chapterId;
+    entry.position = Math.max(0, Math.floor(position || 0));
+    entry.finished = false;
+    entry.updatedAt = Date.now();
+
+    pruneListeningProgress();
+}
+
+/**
+ * Drop books that were never played and the least recently played books beyond MAX_LISTENING_PROGRESS
+ */
+function pruneListeningProgress() {
+    const entries = Object.values(state.progress).filter(entry => {
+        if (entry.updatedAt > 0) {
+            return true;
+        }
+        delete state.progress[entry.bookId];
+        return false;
+    });
+
+    if (entries.length <= MAX_LISTENING_PROGRESS) {
+        return;
+    }
+
+    entries
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(MAX_LISTENING_PROGRESS)
+        .forEach(entry => delete state.progress[entry.bookId]);
+}
+
+/**
+ * Build the marker that makes a chapter left part-way resume at the saved position:
+ * the player skips the part already listened to once, replaying it stays possible
+ * @param {string} url Chapter URL
+ * @returns {Object[]} Skip-once marker up to the saved position, empty if the chapter has none
+ */
+function getResumeChapters(url) {
+    if (!source.isContentDetailsUrl(url)) {
+        return [];
+    }
+
+    const { bookId, chapterId } = parseChapterUrl(url);
+    const entry = state.progress[bookId || extractSlug(url)];
+
+    if (!entry || entry.finished || entry.chapterId !== (parseInt(chapterId) || 0) || !(entry.position > 0)) {
+        return [];
+    }
+
+    return [{
+        name: 'Resume where you left off',
+        timeStart: 0,
+        timeEnd: entry.position,
+        type: Type.Chapter.SKIPONCE
+    }];
+}
+
+/**
+ * Get started but unfinished books, most recently played first
+ * @returns {Object[]} Listening progress entries
+ */
+function getUnfinishedBooks() {
+    return Object.values(state.progress)
+        .filter(entry => entry.updatedAt > 0 && !entry.finished)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Fetch a page of the home feed
+ * @param {Object} params Feed parameters (limit, offset, language, genre)
+ * @returns {{books: Object[], nextOffset: number, hasMore: boolean}} Audiobook records, newest first, and where the next page starts
+ */
+function fetchHomeFeedBooks({ limit, offset, language, genre, status }) {
+    const response = apiGET({
+        url: homeFeedUrl({ limit, offset, language, genre, status }),
+        useAuthenticated: false
+    }, () => officialAudiobooksFeed({ limit, offset, language, genre }));
+
+    const data = response.data || response;
+    const books = Array.isArray(data) ? data : [];
+
+    return {
+        books,
+        nextOffset: response.nextOffset ?? offset + limit,
+        hasMore: response.hasMore ?? books.length === limit
+    };
+}
+
+/**
+ * Fetch several home feed pages in one round trip
+ * @param {Object[]} feeds Feed parameters per page (limit, offset, language, genre)
+ * @returns {Object[]} Pages as returned by fetchHomeFeedBooks, in request order
+ */
+function fetchHomeFeedPages(feeds) {
+    // While degraded, go through the official API one request at a time
+    if (Date.now() < proxyUnavailableUntil) {
+        return feeds.map(feed => fetchHomeFeedBooks(feed));
+    }
+
+    // Not retried: a failed page goes through the regular path, whose fallback
+    // then sends the pages after it straight to the official API
+    const results = httpBatchGET(feeds.map(feed => ({ url: homeFeedUrl(feed), retries: 0 })));
+
+    return results.map((result, index) => {
+        if (result.error) {
+            return fetchHomeFeedBooks(feeds[index]);
+        }
+
+        const data = result.data?.data || result.data;
+        const books = Array.isArray(data) ? data : [];
+        return {
+            books,
+            nextOffset: feeds[index].offset + feeds[index].limit,
+            hasMore: books.length === feeds[index].limit
+        };
+    });
+}
+
+/**
+ * Build the proxy API URL of a home feed page
+ * @param {Object} params Feed parameters (limit, offset, language, genre, status)
+ * @returns {string} Feed URL
+ */
+function homeFeedUrl({ limit, offset, language, genre, status }) {
+    let url = `${URLS.API_AUDIOBOOKS_FEED}&limit=${limit}&offset=${offset}`;
+
+    if (language && language !== 'All') {
+        url += `&language=${encodeURIComponent(language)}`;
+    }
+
+    if (genre && genre !== 'All') {
+        url += `&genre=${encodeURIComponent(genre)}`;
+    }
+
+    if (status) {
+        url += `&status=${encodeURIComponent(status)}`;
+    }
+
+    return url;
+}
+
+/**
+ * Resolve the home feed settings: up to two languages and two genres, plus a hidden genre.
+ * A primary choice of 'All' means no filter, whatever the second choice is.
+ * The language dropdowns share one list of names, as do the genre dropdowns, so every index is read from
+ * LANGUAGE_OPTIONS or GENRE_OPTIONS; the first entry ('All', or 'None' for the extra choices) selects nothing.
+ * @returns {{languages: string[], genres: string[], excludedGenres: string[]}} Selections, ['All'] when unfiltered
+ */
+function getHomeSelections() {
+    const catalogueLanguages = getCatalogueLanguages();
+    const catalogueGenres = getCatalogueGenres().map(genre => genre.name);
+
+    const select = (primaryKey, secondKey, options, catalogue) => {
+        const primary = getSettingOption(primaryKey, options, catalogue);
+        if (primary === 'All') {
+            return ['All'];
+        }
+
+        const second = getSettingOption(secondKey, options, catalogue);
+        return second === 'All' || second === primary ? [primary] : [primary, second];
+    };
+
+    const excluded = getSettingOption('excludedGenreOptionIndex', GENRE_OPTIONS, catalogueGenres);
+
+    return {
+        languages: select('languageOptionIndex', 'secondLanguageOptionIndex', LANGUAGE_OPTIONS, catalogueLanguages),
+        genres: select('genreOptionIndex', 'secondGenreOptionIndex', GENRE_OPTIONS, catalogueGenres),
+        excludedGenres: excluded === 'All' ? [] : expandGenreSelection([excluded])
+    };
+}
+
+/**
+ * Check whether a book is tagged with any of the given genres
+ * @param {Object} book Audiobook record
+ * @param {string[]} genres Genre names
+ * @returns {boolean} True if one of the book's genres is listed
+ */
+function isBookInGenres(book, genres) {
+    if (genres.length === 0 || !Array.isArray(book?.genres)) {
+        return false;
+    }
+    return book.genres.some(genre => genres.includes(genre?.name));
+}
+
+/**
+ * Build the URL of a home group playlist
+ * @param {string} group One of HOME_GROUP
+ * @param {Object} [params] Languages and genre of the group, and the IDs of books shown elsewhere on the home page
+ * @returns {string} Home group URL
+ */
+function homeGroupUrl(group, { languages = [], genre = null, excludedIds = [] } = {}) {
+    const url = new URL(`${URLS.INTERNAL_HOME_GROUP}/${group}`);
+
+    languages.filter(language => language && language !== 'All').forEach(language => {
+        url.searchParams.append('language', language);
+    });
+    if (genre && genre !== 'All') {
+        url.searchParams.set('genre', genre);
+    }
+    if (excludedIds.length > 0) {
+        url.searchParams.set('exclude', excludedIds.join(','));
+    }
+
+    return url.toString();
+}
+
+/**
+ * Parse a home group URL
+ * @param {string} url Home group URL
+ * @returns {{group: string, languages: string[], genre: (string|null), excludedIds: string[], name: string}} Group, its filters and its label
+ */
+function parseHomeGroupUrl(url) {
+    const parsed = new URL(url);
+    const group = parsed.pathname.split('/').pop();
+    const languages = parsed.searchParams.getAll('language');
+    const genre = parsed.searchParams.get('genre');
+    const excludedIds = (parsed.searchParams.get('exclude') || '').split(',').filter(Boolean);
+    const languageLabel = languages.length > 0 ? ` (${languages.join(', ')})` : '';
+
+    let name = 'Trending this week';
+    if (group === HOME_GROUP.SPOTLIGHT) {
+        name = `Spotlight: ${genre}${languageLabel}`;
+    } else if (group === HOME_GROUP.COMING_SOON) {
+        name = `Coming soon${languageLabel}`;
+    }
+
+    return { group, languages, genre, excludedIds, name };
+}
+
+/**
+ * Get the books of a home group, cached so the home item and the opened playlist list the same books
+ * @param {string} url Home group URL
+ * @returns {Object[]} Audiobook records, without the books the URL excludes
+ */
+function fetchHomeGroupBooks(url) {
+    const { group, languages, genre, excludedIds } = parseHomeGroupUrl(url);
+
+    // The books are fetched and cached once per group, whatever the home page showed around it
+    if (excludedIds.length > 0) {
+        return fetchHomeGroupBooks(homeGroupUrl(group, { languages, genre }))
+            .filter(book => !excludedIds.includes(`${book.id}`));
+    }
+
+    const cached = cacheGet(`group:${url}`);
+    if (cached) {
+        return cached;
+    }
+
+    const { languages: homeLanguages, excludedGenres } = getHomeSelections();
+    const isAllowed = (book) => !isBookInGenres(book, excludedGenres)
+        && (languages.length === 0 || languages.includes(book.language));
+
+    let books = [];
+
+    if (group === HOME_GROUP.TRENDING) {
+        // Archive.org can't filter by LibriVox language, so trending books are kept in the home languages here
+        books = fetchTrendingBooks()
+            .filter(book => homeLanguages.includes('All') || homeLanguages.includes(book.language))
+            .filter(isAllowed)
+            .slice(0, HOME_TRENDING_COUNT);
+    } else if (group === HOME_GROUP.SPOTLIGHT) {
+        books = fetchHomeFeedBooks({ limit: HOME_SPOTLIGHT_COUNT, offset: 0, language: languages[0], genre }).books
+            .filter(isAllowed);
+    } else if (group === HOME_GROUP.COMING_SOON) {
+        // Several languages are requested together and told apart locally
+        const language = languages.length === 1 ? languages[0] : 'All';
+        books = fetchHomeFeedBooks({ limit: HOME_COMING_SOON_COUNT, offset: 0, language, genre: 'All', status: BOOK_STATUS.IN_PROGRESS }).books
+            .filter(isInProgressBook)
+            .filter(isAllowed);
+    }
+
+    books = books.map(trimAudiobookRecord);
+    cacheSet(`group:${url}`, books, CACHE_TTL_MS.HOME_GROUP);
+
+    return books;
+}
+
+/**
+ * Find the LibriVox books trending on Archive.org: the items most downloaded this week,
+ * ranked by their views over the last 7 days, then the last 30 days
+ * @returns {Object[]} Audiobook records, most viewed first
+ */
+function fetchTrendingBooks() {
+    const query = objectToUrlEncodedString({
+        q: 'collection:librivoxaudio',
+        'fl[]': 'identifier,description',
+        'sort[]': 'week desc',
+        rows: HOME_TRENDING_POOL,
+        output: 'json'
+    });
+    const docs = httpGET(`${URLS.ARCHIVE_ADVANCED_SEARCH}?${query}`)?.response?.docs || [];
+
+    const stats = fetchViewStats(docs.map(doc => doc.identifier));
+    const statsOf = (doc) => stats[doc.identifier] || { last7Day: 0, last30Day: 0 };
+
+    // The item description links the catalog page, whose slug the API resolves to the book
+    const slugs = docs
+        .filter(doc => statsOf(doc).last7Day > 0)
+        .sort((a, b) => (statsOf(b).last7Day - statsOf(a).last7Day) || (statsOf(b).last30Day - statsOf(a).last30Day))
+        .map(doc => findCatalogSlug([].concat(doc.description || []).join(' ')))
+        .filter(Boolean)
+        .slice(0, HOME_TRENDING_COUNT * 2);
+
+    return httpBatchGET(slugs.map(slug => URLS.API_AUDIOBOOKS_DETAILS.replace('{audioBookId}', slug)))
+        .map(result => result.error ? null : result.data?.data)
+        .filter(book => book?.id && book.url_librivox);
+}
+
+/**
+ * Build the home item of a group playlist
+ * @param {string} url Home group URL
+ * @returns {PlatformPlaylist|null} Group playlist, or null if the group has no books
+ */
+function homeGroupToPlaylist(url) {
+    const books = fetchHomeGroupBooks(url);
+
+    if (books.length === 0) {
+        return null;
+    }
+
+    return new PlatformPlaylist({
+        id: new PlatformID(PLATFORM, url, config.id),
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, '', config.id),
+            'LibriVox',
+            URLS.BASE,
+            DEFAULT_IMAGES.AUTHOR_AVATAR
+        ),
+        name: parseHomeGroupUrl(url).name,
+        thumbnail: books[0].coverart_thumbnail || books[0].coverart_jpg || DEFAULT_IMAGES.BOOK_COVER,
+        videoCount: books.length,
+        url
+    });
+}
+
+/**
+ * Get a home group playlist; every book is listed by its first catalogued section
+ * @param {string} url Home group URL
+ * @returns {PlatformPlaylistDetails} Group details
+ */
+function getHomeGroupDetails(url) {
+    const contents = fetchHomeGroupBooks(url).map(book => {
+        const sections = Array.isArray(book.sections) ? book.sections : [];
+        const chapterIndex = sections.length > 0 ? sections.findIndex(section => section.listen_url) : 0;
+
+        // Projects with nothing catalogued yet can't be played
+        if (chapterIndex < 0) {
+            return null;
+        }
+
+        const author = book.authors?.[0] || { id: '' };
+        const authorUrl = author.id ? `${URLS.AUTHOR_BASE}/${author.id}` : '';
+
+        return new PlatformVideo({
+            id: new PlatformID(PLATFORM, `${book.id}_chapter_${chapterIndex}`, config.id),
+            name: book.title || FALLBACK_TITLE,
+            author: new PlatformAuthorLink(
+                new PlatformID(PLATFORM, authorUrl, config.id),
+                formatAuthorNames(book.authors),
+                authorUrl,
+                author.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR
+            ),
+            url: `https://grayjay.internal/librivox/book/${book.id}?chapter=${chapterIndex}`,
+            duration: parseInt(book.totaltimesecs) || 0,
+            thumbnails: new Thumbnails([new Thumbnail(book.coverart_thumbnail || book.coverart_jpg || DEFAULT_IMAGES.BOOK_COVER)])
+        });
+    }).filter(Boolean);
+
+    return new PlatformPlaylistDetails({
+        id: new PlatformID(PLATFORM, url, config.id),
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, '', config.id),
+            'LibriVox',
+            URLS.BASE,
+            DEFAULT_IMAGES.AUTHOR_AVATAR
+        ),
+        name: parseHomeGroupUrl(url).name,
+        videoCount: contents.length,
+        contents: new VideoPager(contents),
+        url
+    });
+}
+
+/**
+ * Pick the genre spotlighted on a home page, rotating daily
+ * @param {number} page Home page index
+ * @param {string[]} skippedGenres Genres selected or excluded in the settings, never spotlighted
+ * @returns {string|null} Genre name
+ */
+function getSpotlightGenre(page, skippedGenres) {
+    const genres = getCatalogueGenres()
+        .filter(genre => !genre.parent)
+        .map(genre => genre.name)
+        .filter(genre => !skippedGenres.includes(genre));
+
+    if (genres.length === 0) {
+        return null;
+    }
+
+    const day = Math.floor(Date.now() / (24 * 60 * 60 * 1000));
+    return genres[(day + page) % genres.length];
+}
+
+/**
+ * Rank books related to a book by author, reader, title and genre
+ * @param {string} bookId Book ID or slug
+ * @param {number|null} chapterIndex Chapter being played, its reader is preferred over the book's main reader
+ * @returns {PlatformPlaylist[]} Recommended books, best match first, excluding the book itself
+ */
+function getBookRecommendations(bookId, chapterIndex = null) {
+    const book = fetchAudiobookRecord(bookId);
+    const candidates = {};
+
+    const addCandidates = (books, weight) => {
+        books
+            .filter(candidate => candidate?.id && candidate.id != book.id && candidate.url_librivox)
+            .forEach(candidate => {
+                const entry = candidates[candidate.id] || { book: candidate, score: 0 };
+                entry.score += weight;
+                candidates[candidate.id] = entry;
+            });
+    };
+
+    const page = `limit=${RECOMMENDATIONS_PER_SOURCE}&offset=0`;
+    const sources = [];
+
+    // Other recordings of the same work, matched like the versions collapsed in search
+    const title = normalizeWorkTitle(book.title);
+    if (title) {
+        const params = objectToUrlEncodedString({ q: title, limit: RECOMMENDATIONS_PER_SOURCE, offset: 0 });
+        sources.push({
+            url: `${URLS.API_AUDIOBOOKS_SEARCH}?${params}`,
+            weight: RECOMMENDATION_WEIGHTS.SAME_TITLE,
+            filter: (candidate) => isSameWork(book, candidate)
+        });
+    }
+
+    // Other books by the same author
+    const authorId = book.authors?.[0]?.id;
+    if (authorId) {
+        sources.push({
+            url: `${URLS.API_AUTHORS_AUDIOBOOKS(authorId)}?${page}`,
+            weight: RECOMMENDATION_WEIGHTS.SAME_AUTHOR
+        });
+    }
+
+    // Other books by the same reader: the chapter's reader, or whoever read most of the book
+    const readerId = getRecommendationReaderId(book, chapterIndex);
+    if (readerId) {
+        sources.push({
+            url: `${URLS.API_READERS_AUDIOBOOKS(readerId)}?${page}`,
+            weight: RECOMMENDATION_WEIGHTS.SAME_READER
+        });
+    }
+
+    // Popular books in the same genre and language: the most viewed of a larger pool
+    const genre = book.genres?.[0]?.name;
+    if (genre) {
+        let genreUrl = `${URLS.API_AUDIOBOOKS_FEED}&limit=${RECOMMENDATION_GENRE_POOL}&offset=0&genre=${encodeURIComponent(genre)}`;
+        if (book.language) {
+            genreUrl += `&language=${encodeURIComponent(book.language)}`;
+        }
+        sources.push({
+            url: genreUrl,
+            weight: RECOMMENDATION_WEIGHTS.SAME_GENRE,
+            pick: (books) => mostViewedBooks(books.filter(candidate => candidate?.id != book.id && candidate.url_librivox), RECOMMENDATIONS_PER_SOURCE)
+        });
+    }
+
+    // The sources are independent, fetch them in one round trip
+    httpBatchGET(sources.map(source => source.url)).forEach((result, index) => {
+        if (result.error) {
+            logError(`Error fetching recommendations from ${sources[index].url}: ${result.error.message}`);
+            return;
+        }
+
+        const books = Array.isArray(result.data?.data) ? result.data.data : [];
+        const pick = sources[index].pick || ((sourceBooks) => sourceBooks);
+        addCandidates(pick(books.filter(sources[index].filter || (() => true))), sources[index].weight);
+    });
+
+    const entries = Object.values(candidates);
+
+    // Popularity breaks ties between equally related books
+    const stats = fetchViewStats(entries.map(entry => extractArchiveId(entry.book)));
+    const views = (entry) => stats[extractArchiveId(entry.book)]?.allTime ?? 0;
+
+    const rankedBooks = entries
+        .sort((a, b) => (b.score - a.score) || (views(b) - views(a)))
+        .map(entry => entry.book);
+
+    return rankedBooks
+        .map(audiobookToPlaylist)
+        .filter(playlist => playlist !== null);
+}
+
+/**
+ * Pick the most viewed books on Archive.org
+ * @param {Object[]} books Audiobook records
+ * @param {number} count Number of books to keep
+ * @returns {Object[]} Up to count books, most viewed first
+ */
+function mostViewedBooks(books, count) {
+    const stats = fetchViewStats(books.map(extractArchiveId));
+    const views = (book) => stats[extractArchiveId(book)]?.allTime ?? 0;
+
+    return [...books]
+        .sort((a, b) => views(b) - views(a))
+        .slice(0, count);
+}
+
+/**
+ * Pick the reader whose other books should be recommended
+ * @param {Object} book Audiobook record
+ * @param {number|null} chapterIndex Chapter being played
+ * @returns {string|null} Reader ID
+ */
+function getRecommendationReaderId(book, chapterIndex) {
+    const sections = Array.isArray(book.sections) ? book.sections : [];
+    const readerIdOf = (reader) => reader?.id || reader?.reader_id || null;
+
+    if (chapterIndex !== null && sections[chapterIndex]?.readers?.length) {
+        return readerIdOf(sections[chapterIndex].readers[0]);
+    }
+
+    const counts = {};
+    sections.forEach(section => {
+        (section.readers || []).forEach(reader => {
+            const id = readerIdOf(reader);
+            if (id) {
+                counts[id] = (counts[id] || 0) + 1;
+            }
+        });
+    });
+
+    const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return ranked[0] || null;
+}
+
+// ====================== DATA FETCHING ======================
+
+
+/**
+ * Get cached audiobook details or fetch them if not cached
+ * @param {string} url Audiobook URL
+ * @returns {Object} Audiobook details
+ */
+function getAudiobookCachedDetails(url) {
+
+    const audioBookId = extractId(url);
+    let id;
+
+    if (audioBookId) {
+        id = audioBookId;
+    } else {
+        id = extractSlug(url);
+    }
+
+    return fetchAudiobookDetailsFromApi(id);
+}
+
+/**
+ * Fetch audiobook details from LibriVox API
+ * @param {string} audioBookId Audiobook ID or slug
+ * @returns {Object} Audiobook details
+ */
+function fetchAudiobookDetailsFromApi(audioBookId) {
+    try {
+        const book = fetchAudiobookRecord(audioBookId);
+
+        const iarchive_id = extractArchiveId(book);
+        let viewCount = UNKNOWN_COUNT;
+        let rating = null;
+
+        if (iarchive_id) {
+            // Views, rating and files are independent, fetch them together
+            prefetchArchiveData(iarchive_id);
+            viewCount = fetchViewCount(iarchive_id);
+            // Only comes with the item metadata, a failed prefetch leaves the rating out rather than costing another request
+            rating = cacheGet(`rating:${iarchive_id}`);
+        }
+
+        // Handle multiple authors
+        const authors = book?.authors || [];
+        let authorName = FALLBACK_AUTHOR;
+        let authorUrl = '';
+        let authorThumbnailUrl = DEFAULT_IMAGES.AUTHOR_AVATAR;
+
+        // Format primary author
+        if (authors.length > 0) {
+            const primaryAuthor = authors[0];
+            authorName = formatAuthorNames(authors);
+            authorUrl = primaryAuthor.id ? `${URLS.AUTHOR_BASE}/${primaryAuthor.id}` : '';
+            authorThumbnailUrl = primaryAuthor?.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR;
+        }
+
+        // Format all authors for description
+        const formattedAuthors = authors.map(author => {
+            return {
+                id: author.id,
+                name: author.name || FALLBACK_AUTHOR,
+                url: author.id ? `${URLS.AUTHOR_BASE}/${author.id}` : ''
+            };
+        });
+
+        return {
+            viewCount,
+            rating,
+            iarchiveId: iarchive_id,
+            title: book.title || FALLBACK_TITLE,
+            inProgress: isInProgressBook(book),
+            projectProgress: isInProgressBook(book) ? formatProjectProgress(book) : '',
+            description: book.description || '',
+            authorThumbnailUrl: authorThumbnailUrl,
+            authorName: authorName,  // Primary author for backward compatibility
+            authorUrl: authorUrl,    // Primary author URL
+            authors: formattedAuthors, // All authors
+            contributors: getBookContributors(book), // Authors, translators and editors
+            cast: isDramaticReading(book) ? parseCastList(book) : [],
+            bookCoverUrl: book.coverart_thumbnail || book.coverart_jpg || DEFAULT_IMAGES.BOOK_COVER,
+            chapters: book.sections.map((s, idx) => formatChapterData(s, idx)),
+            metadata: getBookMetadata(book)
+        };
+    } catch (error) {
+        logError(`Error parsing API response: ${error.message}`);
+        if (error instanceof HttpRequestException) {
+            throw error;
+        }
+        throw new ScriptException(`Failed to parse audiobook details: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch the raw audiobook record, using the response cache when possible
+ * @param {string} audioBookId Audiobook ID or slug
+ * @returns {Object} Audiobook record as returned by the API
+ * @throws {ScriptException} If the API returns no book
+ */
+function fetchAudiobookRecord(audioBookId) {
+    const cached = cacheGet(`book:${audioBookId}`);
+    if (cached) {
+        return cached;
+    }
+
+    const response = apiGET(
+        {
+            url: URLS.API_AUDIOBOOKS_DETAILS.replace('{audioBookId}', audioBookId),
+            notFoundMessage: `Audiobook not found on LibriVox: ${audioBookId}`
+        },
+        () => officialAudiobookDetails(audioBookId)
+    );
+    if (!response.data) {
+        throw new ScriptException("No book data found in API response");
+    }
+
+    const book = trimAudiobookRecord(response.data);
+    cacheAudiobookRecord(book, audioBookId);
+
+    return book;
+}
+
+/**
+ * Fetch view count for an audiobook from Archive.org
+ * @param {string} iarchive_id Archive.org ID
+ * @returns {number} View count or UNKNOWN_COUNT if not available
+ */
+function fetchViewCount(iarchive_id) {
+    return fetchViewStats([iarchive_id])[iarchive_id]?.allTime ?? UNKNOWN_COUNT;
+}
+
+/**
+ * Fetch view statistics for several Archive.org items in one request
+ * @param {string[]} iarchive_ids Archive.org IDs
+ * @returns {Object} Map of Archive.org ID to {allTime, last7Day, last30Day}; items without data are omitted
+ */
+function fetchViewStats(iarchive_ids) {
+    const stats = {};
+    const missing = [];
+
+    iarchive_ids.filter(Boolean).forEach(id => {
+        const cached = cacheGet(`views:${id}`);
+        if (cached) {
+            stats[id] = cached;
+        } else if (!missing.includes(id)) {
+            missing.push(id);
+        }
+    });
+
+    if (missing.length === 0) {
+        return stats;
+    }
+
+    try {
+        const viewResBody = httpGET(viewStatsRequest(missing));
+
+        missing.forEach(id => {
+            const views = toViewStats(viewResBody?.[id]);
+
+            if (views) {
+                stats[id] = views;
+                cacheSet(`views:${id}`, views, CACHE_TTL_MS.VIEWS);
+            }
+        });
+    } catch (error) {
+        logError(`Error parsing view count: ${error.message}`);
+    }
+    return stats;
+}
+
+/**
+ * Build the Archive.org views request for several items
+ * @param {string[]} iarchive_ids Archive.org IDs
+ * @returns {Object} httpGET options
+ */
+function viewStatsRequest(iarchive_ids) {
+    return {
+        url: `${URLS.ARCHIVE_VIEWS}/${iarchive_ids.map(encodeURIComponent).join(',')}`,
+        headers: REQUEST_HEADERS
+    };
+}
+
+/**
+ * Map one item of an Archive.org views response
+ * @param {Object} views Views entry for one item
+ * @returns {Object|null} {allTime, last7Day, last30Day}, or null if Archive.org has no data
+ */
+function toViewStats(views) {
+    if (!views?.have_data) {
+        return null;
+    }
+
+    return {
+        allTime: views.all_time || UNKNOWN_COUNT,
+        last7Day: views.last_7day || 0,
+        last30Day: views.last_30day || 0
+    };
+}
+
+/**
+ * Fetch the file list of an Archive.org item
+ * @param {string} iarchive_id Archive.org ID
+ * @returns {Object[]} File metadata entries, empty if not available
+ */
+function fetchArchiveFiles(iarchive_id) {
+    const cached = cacheGet(`files:${iarchive_id}`);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const files = toArchiveFiles(httpGET(`${URLS.ARCHIVE_METADATA}/${iarchive_id}/files`));
+
+        if (files) {
+            cacheSet(`files:${iarchive_id}`, files, CACHE_TTL_MS.ARCHIVE_FILES);
+        }
+
+        return files || [];
+    } catch (error) {
+        logError(`Error fetching archive.org files for ${iarchive_id}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Map an Archive.org files response, keeping only the audio files and the fields used to build audio sources
+ * to limit the saved state size
+ * @param {Object} response Archive.org files response
+ * @returns {Object[]|null} File metadata entries, or null if the item has no audio files
+ */
+function toArchiveFiles(response) {
+    const files = (Array.isArray(response?.result) ? response.result : [])
+        .filter(file => /\.(?:mp3|ogg|m4b)$/i.test(file?.name || ''));
+
+    if (files.length === 0) {
+        return null;
+    }
+
+    return files.map(file => ({
+        name: file.name,
+        format: file.format,
+        original: file.original,
+        size: file.size,
+        length: file.length,
+        bitrate: file.bitrate
+    }));
+}
+
+/**
+ * Fetch the Archive.org data shown on details screens (views, rating, files) in one round trip.
+ * The rating is computed from the reviews in the item metadata, which also holds the file list.
+ * @param {string} iarchive_id Archive.org ID
+ */
+function prefetchArchiveData(iarchive_id) {
+    const itemMetadataUrl = `${URLS.ARCHIVE_METADATA}/${iarchive_id}`;
+
+    prefetchIntoCache([
+        {
+            key: `views:${iarchive_id}`,
+            request: viewStatsRequest([iarchive_id]),
+            ttl: CACHE_TTL_MS.VIEWS,
+            transform: (body) => toViewStats(body?.[iarchive_id])
+        },
+        {
+            key: `rating:${iarchive_id}`,
+            request: itemMetadataUrl,
+            ttl: CACHE_TTL_MS.RATING,
+            transform: (body) => toArchiveRating(body?.reviews)
+        },
+        {
+            key: `files:${iarchive_id}`,
+            request: itemMetadataUrl,
+            ttl: CACHE_TTL_MS.ARCHIVE_FILES,
+            transform: (body) => toArchiveFiles({ result: body?.files })
+        }
+    ]);
+}
+
+/**
+ * Find the M4B files covering a whole book on Archive.org, in part order
+ * @param {string|null} iarchive_id Archive.org ID
+ * @param {boolean} [fetchIfMissing=true] If false, only an already cached file list is used
+ * @returns {Object[]} M4B file entries, empty if the book has none
+ */
+function findWholeBookFiles(iarchive_id, fetchIfMissing = true) {
+    if (!iarchive_id) {
+        return [];
+    }
+
+    const files = fetchIfMissing ? fetchArchiveFiles(iarchive_id) : (cacheGet(`files:${iarchive_id}`) || []);
+
+    return files
+        .filter(file => /\.m4b$/i.test(file.name || ''))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Build the URL of a whole-book item
+ * @param {string} bookId Audiobook ID
+ * @param {number} partIndex M4B part index (0-based)
+ * @param {number} partCount Number of M4B parts
+ * @returns {string} Whole-book URL
+ */
+function wholeBookUrl(bookId, partIndex, partCount) {
+    return partCount > 1
+        ? `${URLS.INTERNAL_FULL_BOOK}/${bookId}?part=${partIndex + 1}`
+        : `${URLS.INTERNAL_FULL_BOOK}/${bookId}`;
+}
+
+/**
+ * Resolve a whole-book URL to its M4B file and the sections it contains.
+ * Sections are assigned to parts by where they fall once section times are scaled to the real M4B lengths.
+ * @param {Object} playlistInfo Audiobook details
+ * @param {string} url Whole-book URL, with ?part=N for multi-part books
+ * @param {Object[]} [files] M4B files, fetched when not given
+ * @returns {{file: Object, index: number, name: string, length: number, chapters: Object[]}|null} Part, or null if there is no M4B
+ */
+function getWholeBookPart(playlistInfo, url, files = null) {
+    const m4bFiles = files || findWholeBookFiles(playlistInfo.iarchiveId);
+
+    if (m4bFiles.length === 0) {
+        return null;
+    }
+
+    const partParam = parseInt(new URL(url).searchParams.get('part')) || 1;
+    const index = Math.min(Math.max(partParam, 1), m4bFiles.length) - 1;
+
+    const sectionsLength = playlistInfo.chapters.reduce((total, chapter) => total + chapter.duration, 0);
+    const partLengths = m4bFiles.map(file => parseFloat(file.length) || 0);
+    const filesLength = partLengths.reduce((total, length) => total + length, 0);
+    const length = partLengths[index] || (m4bFiles.length === 1 ? sectionsLength : 0);
+
+    let chapters = playlistInfo.chapters;
+
+    if (m4bFiles.length > 1) {
+        const scale = sectionsLength > 0 && filesLength > 0 ? filesLength / sectionsLength : 1;
+        const partStart = partLengths.slice(0, index).reduce((total, partLength) => total + partLength, 0);
+        const partEnd = partStart + partLengths[index];
+        let sectionStart = 0;
+
+        chapters = playlistInfo.chapters.filter(chapter => {
+            const middle = (sectionStart + chapter.duration / 2) * scale;
+            sectionStart += chapter.duration;
+            return middle >= partStart && (middle < partEnd || index === m4bFiles.length - 1);
+        });
+    }
+
+    return {
+        file: m4bFiles[index],
+        index,
+        name: m4bFiles.length > 1
+            ? `${playlistInfo.title} (whole book, part ${index + 1} of ${m4bFiles.length})`
+            : `${playlistInfo.title} (whole book)`,
+        length: length || chapters.reduce((total, chapter) => total + chapter.duration, 0),
+        chapters
+    };
+}
+
+
+// ====================== CATALOGUE ======================
+
+/**
+ * Get the languages LibriVox has recordings in, from the API or the settings list when it is unavailable
+ * @returns {string[]} Language names, without 'All'
+ */
+function getCatalogueLanguages() {
+    const cached = cacheGet('catalogue:languages');
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        // Not every proxy has the catalogue endpoints, the settings list is used without them
+        const response = optionalEndpointGET('languages', URLS.API_LANGUAGES, () => ({ data: [] }));
+        const languages = (Array.isArray(response?.data) ? response.data : [])
+            .map(language => typeof language === 'string' ? language : language?.name)
+            .filter(Boolean)
+            .sort((a, b) => a.localeCompare(b));
+
+        if (languages.length > 0) {
+            cacheSet('catalogue:languages', languages, CACHE_TTL_MS.CATALOGUE);
+            return languages;
+        }
+    } catch (error) {
+        logError(`Error fetching languages: ${error.message}`);
+    }
+
+    // Don't ask again on every call while the API is unavailable
+    const fallback = LANGUAGE_OPTIONS.filter(lang => lang !== 'All');
+    cacheSet('catalogue:languages', fallback, CACHE_TTL_MS.CATALOGUE_FALLBACK);
+    return fallback;
+}
+
+/**
+ * Get the LibriVox genre tree, flattened with every parent genre followed by its subgenres
+ * @returns {Array<{name: string, parent: (string|null)}>} Genres, falling back to the settings list without hierarchy
+ */
+function getCatalogueGenres() {
+    const cached = cacheGet('catalogue:genres');
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = optionalEndpointGET('genres', URLS.API_GENRES, () => ({ data: [] }));
+        const genres = flattenGenreTree(Array.isArray(response?.data) ? response.data : []);
+
+        if (genres.length > 0) {
+            cacheSet('catalogue:genres', genres, CACHE_TTL_MS.CATALOGUE);
+            return genres;
+        }
+    } catch (error) {
+        logError(`Error fetching genres: ${error.message}`);
+    }
+
+    // Don't ask again on every call while the API is unavailable
+    const fallback = GENRE_OPTIONS
+        .filter(genre => genre !== 'All')
+        .map(name => ({ name, parent: null }));
+    cacheSet('catalogue:genres', fallback, CACHE_TTL_MS.CATALOGUE_FALLBACK);
+    return fallback;
+}
+
+/**
+ * Flatten API genres, given either nested (children) or flat with parent IDs
+ * @param {Object[]} genres Genres as returned by the API
+ * @returns {Array<{name: string, parent: (string|null)}>} Parent genres in name order, each followed by its subgenres
+ */
+function flattenGenreTree(genres) {
+    const byId = {};
+    const childrenOf = {};
+    const roots = [];
+
+    const collect = (genre, parent) => {
+        if (!genre?.name) {
+            return;
+        }
+
+        const node = { id: genre.id ?? genre.name, name: genre.name, parentId: genre.parent_id ?? parent?.id ?? null };
+        byId[node.id] = node;
+        (genre.children || genre.subgenres || []).forEach(child => collect(child, node));
+    };
+    genres.forEach(genre => collect(genre, null));
+
+    Object.values(byId).forEach(node => {
+        if (node.parentId !== null && byId[node.parentId]) {
+            (childrenOf[node.parentId] = childrenOf[node.parentId] || []).push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const results = [];
+    const visit = (node, parent) => {
+        results.push({ name: node.name, parent: parent ? parent.name : null });
+        (childrenOf[node.id] || []).sort(byName).forEach(child => visit(child, node));
+    };
+    roots.sort(byName).forEach(root => visit(root, null));
+
+    return results;
+}
+
+/**
+ * Add the subgenres of selected parent genres, so filtering on "Fiction" keeps books tagged "Fiction › Myths"
+ * @param {string[]} genres Selected genre names
+ * @returns {string[]} Selected genres and their descendants
+ */
+function expandGenreSelection(genres) {
+    if (genres.length === 0) {
+        return genres;
+    }
+
+    const expanded = new Set(genres);
+    let added = true;
+
+    while (added) {
+        added = false;
+        getCatalogueGenres().forEach(genre => {
+            if (genre.parent && expanded.has(genre.parent) && !expanded.has(genre.name)) {
+                expanded.add(genre.name);
+                added = true;
+            }
+        });
+    }
+
+    return [...expanded];
+}
+
+/**
+ * Resolve a dropdown setting to an option name.
+ * The index refers to the dropdown list the user picked from. Names are matched to the catalogue spelling;
+ * a name the catalogue doesn't list is still used as configured, so the selection never widens to 'All'.
+ * @param {string} settingKey Setting variable
+ * @param {string[]} options Dropdown options of the setting
+ * @param {string[]} catalogue Names currently offered by the API
+ * @returns {string} Option name, 'All' if the index is invalid or 'All' is selected
+ */
+function getSettingOption(settingKey, options, catalogue) {
+    const index = parseInt(settings[settingKey]);
+    const name = Number.isInteger(index) && index >= 0 ? options[index] : undefined;
+
+    if (!name || name === 'All') {
+        return 'All';
+    }
+
+    const catalogueName = catalogue.find(option => option.toLowerCase() === name.toLowerCase());
+    if (!catalogueName) {
+        bridge.log(`[LibriVox] Setting ${settingKey}: "${name}" isn't in the LibriVox catalogue, using it as configured`);
+    }
+
+    return catalogueName || name;
+}
+
+// ====================== FORUM ======================
+
+/**
+ * Parse a phpBB thread page into posts
+ * @param {string} html Thread page HTML
+ * @returns {{posts: Object[], nextStart: number|null}} Posts on the page and the offset of the next page
+ */
+function parseForumPage(html) {
+    const doc = domParser.parseFromString(html);
+
+    const posts = Array.from(doc.querySelectorAll('div.post')).map(postNode => {
+        const postId = (postNode.getAttribute('id') || '').replace(/^p/, '');
+        const authorNode = postNode.querySelector('.author a.username, .author a.username-coloured')
+            || postNode.querySelector('.author strong');
+        const timeNode = postNode.querySelector('.author time');
+        const contentNode = postNode.querySelector('div.content');
+        const contentHtml = contentNode?.innerHTML || '';
+
+        const authorHref = authorNode?.getAttribute('href') || '';
+        const datetime = timeNode?.getAttribute('datetime');
+
+        // Quote headers link back to the quoted post: <cite>... <a href="./viewtopic.php?p=123#p123">
+        const quotedPostIds = [];
+        const citeRegex = /<cite>([\s\S]*?)<\/cite>/g;
+        let cite;
+        while ((cite = citeRegex.exec(contentHtml)) !== null) {
+            const quoted = cite[1].match(/[?&;]p=(\d+)/);
+            if (quoted && !quotedPostIds.includes(quoted[1])) {
+                quotedPostIds.push(quoted[1]);
+            }
+        }
+
+        return {
+            postId,
+            authorName: authorNode?.textContent?.trim() || 'Anonymous',
+            authorUrl: authorHref ? resolveForumUrl(authorHref) : '',
+            date: datetime ? Math.floor(new Date(datetime).getTime() / 1000) || 0 : 0,
+            message: htmlToText(stripBlockquotes(contentHtml)),
+            quotedPostIds
+        };
+    }).filter(post => post.postId);
+
+    const nextHref = doc.querySelector('a[rel="next"]')?.getAttribute('href') || '';
+    const nextMatch = decodeHtmlEntities(nextHref).match(/[?&]start=(\d+)/);
+
+    return {
+        posts,
+        nextStart: nextMatch ? parseInt(nextMatch[1]) : null
+    };
+}
+
+/**
+ * Convert a parsed forum post into a comment
+ * @param {Object} post Parsed forum post
+ * @param {string} contextUrl URL the comments were requested for
+ * @param {string} threadUrl Forum thread URL
+ * @param {string} pageUrl Forum page the post is on
+ * @param {Object[]} pagePosts All posts on the same page, used to count replies
+ * @returns {Comment} Comment
+ */
+function forumPostToComment(post, contextUrl, threadUrl, pageUrl, pagePosts) {
+    const replyCount = pagePosts.filter(other => other.quotedPostIds.includes(post.postId)).length;
+
+    return new Comment({
+        contextUrl,
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, post.authorUrl || post.authorName, config.id),
+            post.authorName,
+            post.authorUrl,
+            ''
+        ),
+        message: post.message,
+        rating: new RatingLikes(0),
+        date: post.date,
+        replyCount,
+        context: {
+            threadUrl,
+            pageUrl,
+            postId: post.postId
+        }
+    });
+}
+
+/**
+ * Normalise a book's forum thread URL to https
+ * @param {string} url Forum URL from the book data
+ * @returns {string|null} Thread URL, or null if the book has no thread
+ */
+function normalizeForumThreadUrl(url) {
+    if (!url || !/viewtopic\.php/.test(url)) {
+        return null;
+    }
+    return url.replace(/^http:\/\//, 'https://');
+}
+
+/**
+ * Build the URL of a forum thread page
+ * @param {string} threadUrl Thread URL
+ * @param {number} start Index of the first post on the page
+ * @returns {string} Page URL, without any #fragment of the thread URL
+ */
+function forumPageUrl(threadUrl, start) {
+    const pageUrl = new URL(threadUrl);
+    pageUrl.hash = '';
+
+    if (start > 0) {
+        pageUrl.searchParams.set('start', start);
+    }
+
+    return pageUrl.toString();
+}
+
+/**
+ * Resolve a relative phpBB link against the forum base URL
+ * @param {string} href Link as found in the page (e.g. "./memberlist.php?mode=viewprofile&amp;u=2")
+ * @returns {string} Absolute URL
+ */
+function resolveForumUrl(href) {
+    const decoded = decodeHtmlEntities(href);
+    if (/^https?:\/\//.test(decoded)) {
+        return decoded;
+    }
+    return `${URLS.FORUM_BASE}/${decoded.replace(/^\.?\//, '')}`;
+}
+
+/**
+ * Remove quoted blocks so a post's message only contains its own text
+ * @param {string} html Post content HTML
+ * @returns {string} HTML without blockquotes
+ */
+function stripBlockquotes(html) {
+    let result = html;
+    let previous;
+    // Remove innermost quotes first so nested quotes are handled
+    do {
+        previous = result;
+        result = result.replace(/<blockquote\b[^>]*>(?:(?!<blockquote\b)[\s\S])*?<\/blockquote>/g, '');
+    } while (result !== previous);
+    return result;
+}
+
+// ====================== OFFICIAL API FALLBACK ======================
+
+/**
+ * Request the proxy API, falling back to the official LibriVox API when it is unavailable.
+ * After a proxy failure requests go straight to the fallback for PROXY_RETRY_INTERVAL_MS.
+ * @param {string | Object} urlOrOptions Proxy API URL or httpGET options
+ * @param {Function|null} fallbackCb Returns the same response shape from the official API, null if there is none
+ * @returns {Object} Parsed proxy-shaped response
+ * @throws {ScriptException}
+ */
+function apiGET(urlOrOptions, fallbackCb = null) {
+    if (fallbackCb && Date.now() < proxyUnavailableUntil) {
+        return fallbackCb();
+    }
+
+    try {
+        const response = httpGET(urlOrOptions);
+
+        if (proxyUnavailableUntil > 0) {
+            bridge.log('[LibriVox] Proxy API is back, leaving degraded mode');
+            proxyUnavailableUntil = 0;
+        }
+
+        return response;
+    } catch (error) {
+        // Missing books or bad requests would fail on the official API too,
+        // while an error page instead of JSON means the proxy itself is broken
+        const proxyFailed = isRetryableError(error, true) || error?.kind === HTTP_ERROR_KIND.PARSE;
+        if (!fallbackCb || !proxyFailed) {
+            throw error;
+        }
+
+        if (proxyUnavailableUntil === 0) {
+            bridge.log(`[LibriVox] Proxy API unavailable (${error.message}), using librivox.org API in degraded mode`);
+        }
+        proxyUnavailableUntil = Date.now() + PROXY_RETRY_INTERVAL_MS;
+
+        return fallbackCb();
+    }
+}
+
+/**
+ * Request a proxy endpoint that not every proxy deployment has.
+ * A 404 marks the endpoint as missing for the session and the fallback answers from then on.
+ * @param {string} endpoint Endpoint name used to remember that it is missing
+ * @param {string | Object} urlOrOptions Proxy API URL or httpGET options
+ * @param {Function} fallbackCb Returns the same response shape without the endpoint
+ * @returns {Object} Parsed proxy-shaped response
+ * @throws {ScriptException}
+ */
+function optionalEndpointGET(endpoint, urlOrOptions, fallbackCb) {
+    if (missingEndpoints[endpoint]) {
+        return fallbackCb();
+    }
+
+    try {
+        return apiGET(urlOrOptions, fallbackCb);
+    } catch (error) {
+        if (!(error instanceof HttpRequestException) || error.kind !== HTTP_ERROR_KIND.NOT_FOUND) {
+            throw error;
+        }
+
+        bridge.log(`[LibriVox] The proxy API has no ${endpoint} endpoint, using the fallback`);
+        missingEndpoints[endpoint] = true;
+
+        return fallbackCb();
+    }
+}
+
+/**
+ * Request the official audiobooks feed and map the books to the proxy API shape
+ * @param {Object} params Official API query parameters
+ * @returns {Object[]} Books in proxy API shape
+ */
+function fetchOfficialAudiobooks(params) {
+    const query = objectToUrlEncodedString({ ...params, format: 'json', extended: 1 });
+    const response = httpGET(`${URLS.OFFICIAL_API_AUDIOBOOKS}/?${query}`);
+
+    // The official API answers with {"error": "..."} when nothing matches
+    const books = Array.isArray(response?.books) ? response.books : [];
+    return books.map(officialBookToApiBook);
+}
+
+/**
+ * Request official API pages until a page of books passing a local filter is filled
+ * @param {Object} params Official API query parameters, including limit and offset
+ * @param {Function} filterBooks Local filter, maps a page of books to the books to keep
+ * @returns {Object} Proxy-shaped response, with the official API offset of the next page and whether there is one
+ */
+function fetchOfficialFilteredPage(params, filterBooks) {
+    const limit = params.limit || ITEMS_PER_PAGE;
+
+    return fetchFilteredPage(offset => {
+        const books = fetchOfficialAudiobooks({ ...params, limit, offset });
+        return { books, nextOffset: offset + limit, hasMore: books.length === limit };
+    }, { limit, offset: params.offset || 0 }, filterBooks);
+}
+
+/**
+ * Official API fallback for the home feed.
+ * The official API has no sort or language parameters: books come oldest first and are filtered locally.
+ * @param {Object} params Paging and filter parameters
+ * @returns {Object} Proxy-shaped response
+ */
+function officialAudiobooksFeed({ limit, offset, language, genre }) {
+    const params = { limit, offset };
+    if (genre && genre !== 'All') {
+        params.genre = genre;
+    }
+
+    return fetchOfficialFilteredPage(params, books => filterOfficialBooksByLanguage(books, language));
+}
+
+/**
+ * Official API fallback for a single audiobook
+ * @param {string} audioBookId Audiobook ID
+ * @returns {Object} Proxy-shaped response
+ */
+function officialAudiobookDetails(audioBookId) {
+    if (!/^\d+$/.test(`${audioBookId}`)) {
+        throw new ScriptException(`The LibriVox API can't look up books by slug: ${audioBookId}`);
+    }
+
+    return {
+        data: fetchOfficialAudiobooks({ id: audioBookId })[0] || null
+    };
+}
+
+/**
+ * Official API fallback for audiobook search (title prefix match)
+ * @param {Object} params Search pager parameters (q, limit, offset, language, genre)
+ * @returns {Object} Proxy-shaped response
+ */
+function officialAudiobooksSearch({ q, limit, offset, language, genre }) {
+    const params = { title: `^${q || ''}`, limit, offset };
+    if (genre) {
+        params.genre = genre;
+    }
+
+    return fetchOfficialFilteredPage(params, books => filterOfficialBooksByLanguage(books, language));
+}
+
+/**
+ * Official API fallback for an author's audiobooks.
+ * The official API only filters by author last name, so results are narrowed down to the author ID.
+ * @param {string} authorId Author ID
+ * @param {Object} params Paging and search parameters (limit, offset, q, language, genre)
+ * @returns {Object} Proxy-shaped response
+ */
+function officialAuthorAudiobooks(authorId, { limit, offset, q, language, genre } = {}) {
+    const author = officialAuthorDetails(authorId).data;
+
+    if (!author) {
+        return { data: [] };
+    }
+
+    const params = { author: author.last_name, limit, offset };
+    if (genre) {
+        params.genre = genre;
+    }
+
+    const query = q ? q.toLowerCase() : '';
+
+    return fetchOfficialFilteredPage(params, books => filterOfficialBooksByLanguage(
+        books
+            .filter(book => book.authors.some(a => a.id == authorId))
+            .filter(book => !query || (book.title || '').toLowerCase().includes(query)),
+        language
+    ));
+}
+
+/**
+ * Official API fallback for author search (last name prefix match)
+ * @param {string} query Search query
+ * @param {number} limit Page size
+ * @param {number} offset Page offset
+ * @returns {Object} Proxy-shaped response
+ */
+function officialAuthorsSearch(query, limit, offset) {
+    const params = objectToUrlEncodedString({ last_name: `^${query}`, limit, offset, format: 'json' });
+    const response = httpGET(`${URLS.OFFICIAL_API_AUTHORS}/?${params}`);
+    const authors = Array.isArray(response?.authors) ? response.authors : [];
+
+    return {
+        data: authors.map(officialAuthorToApiAuthor)
+    };
+}
+
+/**
+ * Official API fallback for a single author
+ * @param {string} authorId Author ID
+ * @returns {Object} Proxy-shaped response
+ */
+function officialAuthorDetails(authorId) {
+    const params = objectToUrlEncodedString({ id: authorId, format: 'json' });
+    const response = httpGET(`${URLS.OFFICIAL_API_AUTHORS}/?${params}`);
+    const author = Array.isArray(response?.authors) ? response.authors[0] : null;
+
+    return {
+        data: author ? officialAuthorToApiAuthor(author) : null
+    };
+}
+
+/**
+ * Keep only books in the given language(s), the official API can't filter by language
+ * @param {Object[]} books Books in proxy API shape
+ * @param {string|string[]} language Language name(s), or 'All'
+ * @returns {Object[]} Filtered books
+ */
+function filterOfficialBooksByLanguage(books, language) {
+    const languages = [].concat(language || []).filter(lang => lang && lang !== 'All');
+
+    if (languages.length === 0) {
+        return books;
+    }
+    return books.filter(book => languages.includes(book.language));
+}
+
+/**
+ * Map an official API author to the proxy API shape
+ * @param {Object} author Official API author
+ * @returns {Object} Author in proxy API shape
+ */
+function officialAuthorToApiAuthor(author) {
+    return {
+        ...author,
+        id: author.id,
+        name: [author.first_name, author.last_name].filter(Boolean).join(' ').trim() || FALLBACK_AUTHOR
+    };
+}
+
+/**
+ * Map an official API book to the proxy API shape used by audiobookToPlaylist and formatChapterData
+ * @param {Object} book Official API book
+ * @returns {Object} Book in proxy API shape
+ */
+function officialBookToApiBook(book) {
+    const sections = Array.isArray(book.sections) ? book.sections : [];
+
+    return {
+        ...book,
+        id: parseInt(book.id) || book.id,
+        num_sections: parseInt(book.num_sections) || sections.length,
+        authors: (book.authors || []).map(officialAuthorToApiAuthor),
+        sections: sections.map(section => ({
+            ...section,
+            playtime: parseInt(section.playtime) || 0,
+            readers: (section.readers || []).map(reader => ({
+                id: reader.reader_id,
+                display_name: reader.display_name
+            }))
+        }))
+    };
+}
+
+// ====================== ARCHIVE.ORG REVIEWS ======================
+
+/**
+ * Fetch the user reviews of an Archive.org item
+ * @param {string|null} iarchive_id Archive.org ID
+ * @returns {Object[]} Reviews, empty if not available
+ */
+function fetchArchiveReviews(iarchive_id) {
+    if (!iarchive_id) {
+        return [];
+    }
+
+    try {
+        const response = httpGET(`${URLS.ARCHIVE_METADATA}/${iarchive_id}/reviews`);
+        return Array.isArray(response?.result) ? response.result : [];
+    } catch (error) {
+        logError(`Error fetching archive.org reviews for ${iarchive_id}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Compute the average star rating of an Archive.org item from its reviews
+ * @param {Object[]} reviews Reviews from the item metadata
+ * @returns {Object} {avgRating, numReviews}
+ */
+function toArchiveRating(reviews) {
+    const stars = (Array.isArray(reviews) ? reviews : [])
+        .map(review => parseInt(review?.stars) || 0)
+        .filter(star => star > 0);
+
+    return {
+        avgRating: stars.length > 0 ? stars.reduce((total, star) => total + star, 0) / stars.length : 0,
+        numReviews: stars.length
+    };
+}
+
+/**
+ * Fetch the average star rating of several Archive.org items, with one request for those not cached
+ * @param {string[]} iarchive_ids Archive.org IDs
+ * @returns {Object} Map of Archive.org ID to {avgRating, numReviews}; items that couldn't be looked up are omitted
+ */
+function fetchArchiveRatings(iarchive_ids) {
+    const ratings = {};
+    const missing = [];
+
+    iarchive_ids.filter(Boolean).forEach(id => {
+        const cached = cacheGet(`rating:${id}`);
+        if (cached) {
+            ratings[id] = cached;
+        } else if (!missing.includes(id)) {
+            missing.push(id);
+        }
+    });
+
+    if (missing.length === 0) {
+        return ratings;
+    }
+
+    try {
+        const query = objectToUrlEncodedString({
+            q: `identifier:(${missing.join(' OR ')})`,
+            'fl[]': 'identifier,avg_rating,num_reviews',
+            rows: missing.length,
+            output: 'json'
+        });
+        const docs = httpGET(`${URLS.ARCHIVE_ADVANCED_SEARCH}?${query}`)?.response?.docs || [];
+
+        docs.forEach(doc => {
+            ratings[doc.identifier] = {
+                avgRating: parseFloat(doc.avg_rating) || 0,
+                numReviews: parseInt(doc.num_reviews) || 0
+            };
+            cacheSet(`rating:${doc.identifier}`, ratings[doc.identifier], CACHE_TTL_MS.RATING);
+        });
+    } catch (error) {
+        logError(`Error fetching archive.org ratings: ${error.message}`);
+    }
+
+    return ratings;
+}
+
+/**
+ * Sort books by their Archive.org average rating, unrated books last
+ * @param {Object[]} books Audiobook records
+ * @returns {Object[]} Sorted books
+ */
+function sortBooksByRating(books) {
+    const ratings = fetchArchiveRatings(books.map(extractArchiveId));
+    const score = (book) => ratings[extractArchiveId(book)]?.numReviews > 0 ? ratings[extractArchiveId(book)].avgRating : -1;
+
+    return [...books].sort((a, b) => score(b) - score(a));
+}
+
+/**
+ * Convert an Archive.org review into a comment
+ * @param {Object} review Review from the item metadata
+ * @param {string} contextUrl URL the comments were requested for
+ * @returns {Comment} Comment
+ */
+function archiveReviewToComment(review, contextUrl) {
+    const stars = Math.max(0, Math.min(5, parseInt(review.stars) || 0));
+    const reviewerName = review.reviewer || 'Anonymous';
+    const reviewerUrl = review.reviewer_itemname
+        ? `https://archive.org/details/${review.reviewer_itemname}`
+        : '';
+    const date = review.reviewdate || review.createdate;
+
+    let message = review.reviewbody || '';
+    if (review.reviewtitle) {
+        message = `${review.reviewtitle}\n\n${message}`;
+    }
+    if (stars > 0) {
+        message = `${formatStars(stars)}\n${message}`;
+    }
+
+    return new Comment({
+        contextUrl,
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, reviewerUrl || reviewerName, config.id),
+            reviewerName,
+            reviewerUrl,
+            ''
+        ),
+        message,
+        rating: new RatingScaler(stars / 5),
+        date: date ? Math.floor(new Date(`${date.replace(' ', 'T')}Z`).getTime() / 1000) || 0 : 0,
+        replyCount: 0,
+        context: {}
+    });
+}
+
+/**
+ * Format the rating line of a description
+ * @param {Object|null} rating Rating as returned by toArchiveRating
+ * @returns {string} Rating text, empty if there are no reviews
+ */
+function formatRatingText(rating) {
+    if (!rating || rating.numReviews <= 0) {
+        return '';
+    }
+
+    const reviews = rating.numReviews === 1 ? 'review' : 'reviews';
+    return `\n\nRating: ${formatStars(Math.round(rating.avgRating))} ${rating.avgRating.toFixed(1)}/5 (${rating.numReviews} ${reviews} on archive.org)`;
+}
+
+/**
+ * Format the archive.org view count and the project status of an in-progress book for the description
+ * @param {Object} playlistInfo Audiobook details
+ * @returns {string} Stats text, or an empty string if there is nothing to show
+ */
+function formatBookStatsText(playlistInfo) {
+    const lines = [];
+
+    if (playlistInfo.viewCount > 0) {
+        lines.push(`Views: ${formatViewCount(playlistInfo.viewCount)} (archive.org)`);
+    }
+    if (playlistInfo.projectProgress) {
+        lines.push(`Status: ${playlistInfo.projectProgress}`);
+    }
+
+    return lines.length > 0 ? `\n\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Format a star rating as filled and empty stars
+ * @param {number} stars Number of stars (0-5)
+ * @returns {string} Star string (e.g. "★★★★☆")
+ */
+function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(5 - stars);
+}
+
+
+// ====================== VERSIONS ======================
+
+/**
+ * Normalise a title so that the versions of a work compare equal,
+ * e.g. "The Raven (version 3)" and "Raven, The" both become "raven"
+ * @param {string} title Book title
+ * @returns {string} Normalised title
+ */
+function normalizeWorkTitle(title) {
+    return (title || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\([^)]*\b(?:version|dramatic reading|abridged)\b[^)]*\)/g, ' ')
+        .replace(/\bversion\s*\d+\b/g, ' ')
+        .replace(/,\s*(?:the|a|an)\s*$/, '')
+        .replace(/^(?:the|a|an)\s+/, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalise a text source URL so that http/https and trailing slashes don't matter
+ * @param {string} url Text source URL
+ * @returns {string} Normalised URL, empty if there is none
+ */
+function normalizeTextSourceUrl(url) {
+    return (url || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\/(?:www\.)?/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Keys identifying the work a recording is of: its normalised title with its author, and with its text source,
+ * so recordings filed under different author records are still matched by their e-text.
+ * A shared text source alone isn't enough: the volumes of a work, anthologies and collected works share one.
+ * @param {Object} book Audiobook record
+ * @returns {string[]} Work keys, a recording matches another one if any key is shared; none without a title
+ */
+function getWorkKeys(book) {
+    const title = normalizeWorkTitle(book.title);
+    if (!title) {
+        return [];
+    }
+
+    const authorId = book.authors?.[0]?.id || '';
+    const textSource = normalizeTextSourceUrl(book.url_text_source);
+    const keys = [`title:${authorId}:${title}`];
+
+    if (textSource) {
+        keys.push(`text:${textSource}:${title}`);
+    }
+
+    return keys;
+}
+
+/**
+ * Check whether two recordings are versions of the same work
+ * @param {Object} book Audiobook record
+ * @param {Object} other Other audiobook record
+ * @returns {boolean} True if they share a work key
+ */
+function isSameWork(book, other) {
+    const keys = getWorkKeys(book);
+    return getWorkKeys(other).some(key => keys.includes(key));
+}
+
+/**
+ * Collapse recordings of the same work into the first one listed, which gets a version_count.
+ * Works already listed on earlier pages are dropped.
+ * @param {Object[]} books Audiobook records, in display order
+ * @param {Object} [seenWorks={}] Work keys already listed, updated in place
+ * @returns {Object[]} One record per work
+ */
+function collapseVersions(books, seenWorks = {}) {
+    const results = [];
+    const groups = {};
+
+    books.forEach(book => {
+        const keys = getWorkKeys(book);
+        const existing = keys.map(key => groups[key]).find(Boolean);
+
+        if (existing) {
+            existing.version_count += 1;
+            keys.forEach(key => groups[key] = existing);
+            return;
+        }
+
+        if (keys.some(key => seenWorks[key])) {
+            return;
+        }
+
+        const entry = { ...book, version_count: 1 };
+        keys.forEach(key => {
+            groups[key] = entry;
+            seenWorks[key] = true;
+        });
+        results.push(entry);
+    });
+
+    return results;
+}
+
+/**
+ * Find the other recordings of a book's work.
+ * The result is cached per book, so the book and all its chapters share one search.
+ * @param {string} bookId Audiobook ID or slug
+ * @returns {Object[]} Other versions, oldest first
+ */
+function findOtherVersions(bookId) {
+    // The record is cached by the details screen that asks for the versions
+    const book = fetchAudiobookRecord(bookId);
+    const cacheKey = `versions:${book.id || bookId}`;
+
+    const cached = cacheGet(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const title = normalizeWorkTitle(book.title);
+
+    if (!title) {
+        cacheSet(cacheKey, [], CACHE_TTL_MS.VERSIONS);
+        return [];
+    }
+
+    const params = { q: title, limit: MAX_VERSION_CANDIDATES, offset: 0 };
+
+    try {
+        const response = apiGET(
+            `${URLS.API_AUDIOBOOKS_SEARCH}?${objectToUrlEncodedString(params)}`,
+            () => officialAudiobooksSearch(params)
+        );
+        const candidates = Array.isArray(response?.data) ? response.data : [];
+
+        const versions = candidates
+            .filter(candidate => candidate?.id && candidate.id != book.id && candidate.url_librivox)
+            .filter(candidate => isSameWork(book, candidate))
+            .sort((a, b) => (a.id || 0) - (b.id || 0))
+            .map(candidate => ({
+                id: candidate.id,
+                title: candidate.title || FALLBACK_TITLE,
+                url: candidate.url_librivox,
+                language: candidate.language || '',
+                readers: getBookReaderNames(candidate)
+            }));
+
+        cacheSet(cacheKey, versions, CACHE_TTL_MS.VERSIONS);
+        return versions;
+    } catch (error) {
+        logError(`Error fetching versions of ${bookId}: ${error.message}`);
+        // Don't search again for every chapter while the search fails
+        cacheSet(cacheKey, [], CACHE_TTL_MS.VERSIONS_FAILED);
+        return [];
+    }
+}
+
+/**
+ * Names of the readers of a recording, most sections first
+ * @param {Object} book Audiobook record
+ * @returns {string[]} Reader names
+ */
+function getBookReaderNames(book) {
+    const counts = {};
+
+    (book.sections || []).forEach(section => {
+        (section.readers || []).forEach(reader => {
+            const name = reader.display_name || reader.name;
+            if (name) {
+                counts[name] = (counts[name] || 0) + 1;
+            }
+        });
+    });
+
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+}
+
+/**
+ * Format the "Other versions" block of a description, so a listener can switch narrator
+ * @param {string} bookId Audiobook ID or slug
+ * @returns {string} Versions text, empty if the work has a single recording
+ */
+function formatVersionsText(bookId) {
+    const versions = findOtherVersions(bookId);
+
+    if (versions.length === 0) {
+        return '';
+    }
+
+    const lines = versions.map(version => {
+        const readerNames = version.readers.map(escapeHtml);
+        let readers = '';
+        if (readerNames.length > 3) {
+            readers = ` - read by ${readerNames.slice(0, 3).join(', ')} and ${readerNames.length - 3} more`;
+        } else if (readerNames.length > 0) {
+            readers = ` - read by ${readerNames.join(', ')}`;
+        }
+        const language = version.language ? ` (${escapeHtml(version.language)})` : '';
+
+        return `<a href="${version.url}">${escapeHtml(version.title)}</a>${language}${readers}`;
+    });
+
+    return `\n\nOther versions:\n${lines.join('\n')}`;
+}
+
+
+// ====================== CONVERSION FUNCTIONS ======================
+
+/**
+ * Convert an author from the API to a channel
+ * @param {Object} author Author data
+ * @returns {PlatformChannel} Author channel
+ */
+function authorToChannel(author) {
+    const authorName = author.name || FALLBACK_AUTHOR;
+    const authorUrl = `${URLS.AUTHOR_BASE}/${author.id}`;
+
+    return new PlatformChannel({
+        id: new PlatformID(PLATFORM, authorUrl, config.id),
+        name: authorName,
+        thumbnail: author.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR,
+        subscribers: UNKNOWN_COUNT,
+        description: author.description || '',
+        url: authorUrl,
+        links: buildAuthorLinks(author)
+    });
+}
+
+/**
+ * Convert a reader from the API to a channel, labelled as a reader
+ * @param {Object} reader Reader data
+ * @returns {PlatformChannel} Reader channel
+ */
+function readerToChannel(reader) {
+    const readerId = reader.id || reader.reader_id;
+    const readerUrl = `${URLS.READER_BASE}/${readerId}`;
+
+    return new PlatformChannel({
+        id: new PlatformID(PLATFORM, readerUrl, config.id),
+        name: `${reader.display_name || `Reader ${readerId}`} (reader)`,
+        thumbnail: DEFAULT_IMAGES.READER_AVATAR,
+        subscribers: UNKNOWN_COUNT,
+        description: formatReaderDescription(reader),
+        url: readerUrl,
+        links: {
+            'LibriVox': readerUrl
+        }
+    });
+}
+
+/**
+ * Describe a reader using the counts available from the API
+ * @param {Object} reader Reader data
+ * @returns {string} Reader description
+ */
+function formatReaderDescription(reader) {
+    let description = `LibriVox volunteer reader`;
+    if (reader.display_name) {
+        description = `LibriVox reader ${reader.display_name}`;
+    }
+
+    if (reader.section_count > 0) {
+        description += ` who has recorded ${reader.section_count} sections`;
+    }
+
+    if (reader.audiobook_count > 0) {
+        description += ` across ${reader.audiobook_count} audiobooks`;
+    }
+
+    return description + '.';
+}
+
+
+/**
+ * Format chapter data into a consistent structure
+ * @param {Object} s Chapter data from API
+ * @param {number} idx Chapter index
+ * @returns {Object} Formatted chapter data
+ */
+function formatChapterData(s, idx) {
+    // Handle multiple readers
+    const readers = s.readers || [];
+    const formattedReaders = readers.map(reader => ({
+        name: reader.display_name || '',
+        id: reader.id || reader.reader_id || '',
+        url: reader.id || reader.reader_id ? `${URLS.READER_BASE}/${reader.id || reader.reader_id}` : '',
+        role: reader.role || ''
+    }));
+
+    return {
+        section_id: s.id,
+        chapterId: idx,
+        chapterName: s.title || `Chapter ${idx + 1}`,
+        chapterFile: s.listen_url || '',
+        duration: parseInt(s.playtime) || 0,
+        readers: formattedReaders
+    };
+}
+
+/**
+ * Build chapter markers from consecutive section play times.
+ * Section play times are rounded and the M4B adds gaps, so they are scaled to the file's real length when known.
+ * @param {Object[]} chapters Formatted chapter data
+ * @param {number} [totalLength=0] Length of the audio file in seconds
+ * @returns {Object[]} Chapters with start and end times in seconds
+ */
+function buildBookChapters(chapters, totalLength = 0) {
+    const sectionsLength = chapters.reduce((total, chapter) => total + chapter.duration, 0);
+    const scale = totalLength > 0 && sectionsLength > 0 ? totalLength / sectionsLength : 1;
+    let timeStart = 0;
+
+    return chapters.map(chapter => {
+        const timeEnd = timeStart + chapter.duration * scale;
+        const marker = {
+            name: chapter.chapterName,
+            timeStart,
+            timeEnd,
+            type: Type.Chapter.NORMAL
+        };
+        timeStart = timeEnd;
+        return marker;
+    });
+}
+
+/**
+ * Collect the project metadata shown on the book and chapter pages
+ * @param {Object} book Audiobook record
+ * @returns {Object} Runtime, copyright year, language, genres, project type and links
+ */
+function getBookMetadata(book) {
+    const sections = Array.isArray(book.sections) ? book.sections : [];
+    const runtime = parseInt(book.totaltimesecs)
+        || sections.reduce((total, section) => total + (parseInt(section.playtime) || 0), 0);
+
+    let projectType = null;
+    if (isDramaticReading(book)) {
+        projectType = 'Dramatic reading';
+    } else {
+        const recordingType = getRecordingType(book);
+        if (recordingType) {
+            projectType = recordingType === RECORDING_TYPE.SOLO ? 'Solo' : 'Group';
+        }
+    }
+
+    return {
+        runtime,
+        copyrightYear: parseInt(book.copyright_year) || null,
+        language: book.language || '',
+        genres: (book.genres || []).map(genre => genre?.name).filter(Boolean),
+        projectType,
+        textSourceUrl: book.url_text_source || '',
+        zipUrl: book.url_zip_file || '',
+        catalogUrl: book.url_librivox || ''
+    };
+}
+
+/**
+ * Format the metadata block of a book description with clickable links
+ * @param {Object} metadata Metadata from getBookMetadata
+ * @returns {string} Metadata text, empty if nothing is known
+ */
+function formatBookMetadataText(metadata) {
+    if (!metadata) {
+        return '';
+    }
+
+    const lines = [];
+
+    if (metadata.runtime > 0) {
+        lines.push(`Runtime: ${formatRuntime(metadata.runtime)}`);
+    }
+    if (metadata.copyrightYear) {
+        lines.push(`Copyright year: ${metadata.copyrightYear}`);
+    }
+    if (metadata.language) {
+        lines.push(`Language: ${metadata.language}`);
+    }
+    if (metadata.genres.length > 0) {
+        lines.push(`Genre${metadata.genres.length > 1 ? 's' : ''}: ${metadata.genres.join(', ')}`);
+    }
+    if (metadata.projectType) {
+        lines.push(`Project type: ${metadata.projectType}`);
+    }
+
+    const links = [];
+    if (metadata.textSourceUrl) {
+        links.push(`<a href="${metadata.textSourceUrl}">Online text</a>`);
+    }
+    if (metadata.zipUrl) {
+        links.push(`<a href="${metadata.zipUrl}">Download (ZIP)</a>`);
+    }
+    if (metadata.catalogUrl) {
+        links.push(`<a href="${metadata.catalogUrl}">LibriVox page</a>`);
+    }
+    if (links.length > 0) {
+        lines.push(links.join(' · '));
+    }
+
+    return lines.length > 0 ? `\n\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Format the author line of a book description with channel links
+ * @param {Object} playlistInfo Audiobook details
+ * @returns {string} Author text, empty if no author is known
+ */
+function formatAuthorsText(playlistInfo) {
+    let authorsText = "";
+    if (playlistInfo.authors && Array.isArray(playlistInfo.authors) && playlistInfo.authors.length > 0) {
+        authorsText = "Author" + (playlistInfo.authors.length > 1 ? "s" : "") + ": ";
+        authorsText += playlistInfo.authors.map(author => {
+            const authorUrl = author.url || (author.id ? `${URLS.AUTHOR_BASE}/${author.id}` : '');
+            if (authorUrl) {
+                return `<a href="${authorUrl}">${escapeHtml(author.name)}</a>`;
+            }
+            return escapeHtml(author.name);
+        }).join(", ");
+    } else if (playlistInfo.authorName && playlistInfo.authorUrl) {
+        // Fallback for single author stored in legacy format
+        authorsText = `Author: <a href="${playlistInfo.authorUrl}">${escapeHtml(playlistInfo.authorName)}</a>`;
+    }
+
+    // Translators and editors, each linked to their channel
+    const roleLabels = {
+        [CONTRIBUTOR_ROLE.TRANSLATOR]: 'Translated by',
+        [CONTRIBUTOR_ROLE.EDITOR]: 'Edited by'
+    };
+    Object.keys(roleLabels).forEach(role => {
+        const contributors = (playlistInfo.contributors || []).filter(contributor => contributor.role === role);
+        if (contributors.length > 0) {
+            const names = contributors.map(contributor => contributor.url
+                ? `<a href="${contributor.url}">${escapeHtml(contributor.name)}</a>`
+                : escapeHtml(contributor.name));
+            authorsText += `${authorsText ? '\n' : ''}${roleLabels[role]}: ${names.join(', ')}`;
+        }
+    });
+
+    return authorsText;
+}
+
+/**
+ * Channel a chapter is attributed to: its first reader when the readerAsChannel setting is on, the book's author otherwise.
+ * The author and every reader stay listed in the chapter description either way.
+ * @param {Object} chapter Formatted chapter data
+ * @param {Object} playlistInfo Audiobook details
+ * @returns {PlatformAuthorLink} Attributed channel
+ */
+function chapterAuthorLink(chapter, playlistInfo) {
+    const reader = (chapter.readers || []).find(reader => reader.url);
+
+    if (isSettingEnabled(settings.readerAsChannel) && reader) {
+        return new PlatformAuthorLink(
+            new PlatformID(PLATFORM, extractReaderIdFromUrl(reader.url) || '', config.id),
+            reader.name || `Reader ${reader.id}`,
+            reader.url,
+            DEFAULT_IMAGES.READER_AVATAR
+        );
+    }
+
+    return new PlatformAuthorLink(
+        new PlatformID(PLATFORM, extractChannelId(playlistInfo.authorUrl) || '', config.id),
+        playlistInfo.authorName,
+        playlistInfo.authorUrl,
+        playlistInfo?.authorThumbnailUrl ?? ''
+    );
+}
+
+/**
+ * Check whether a book is a dramatic reading, with a volunteer per role
+ * @param {Object} book Audiobook record
+ * @returns {boolean} True for dramatic readings
+ */
+function isDramaticReading(book) {
+    return isBookInGenres(book, [DRAMATIC_READINGS_GENRE]) || /dramatic reading/i.test(book?.title || '');
+}
+
+/**
+ * Parse the cast of a dramatic reading. Roles come from the section readers when the API has them,
+ * otherwise from the "Cast" list LibriVox publishes in the project description ("Hamlet: Reader Name").
+ * @param {Object} book Audiobook record
+ * @returns {Array<{role: string, name: string, id: string, url: string}>} Cast, in listed order
+ */
+function parseCastList(book) {
+    const readersByName = {};
+    const cast = [];
+
+    (book.sections || []).forEach(section => {
+        (section.readers || []).forEach(reader => {
+            const id = reader.id || reader.reader_id || '';
+            const name = reader.display_name || '';
+            if (name) {
+                readersByName[name.toLowerCase()] = { id, name };
+            }
+            if (reader.role && name && !cast.some(member => member.role === reader.role && member.name === name)) {
+                cast.push({ role: reader.role, name, id, url: id ? `${URLS.READER_BASE}/${id}` : '' });
+            }
+        });
+    });
+
+    if (cast.length > 0) {
+        return cast;
+    }
+
+    const text = htmlToText(book.description || '');
+    const castMatch = text.match(/\bcast(?:\s+list)?\s*(?::|\n)\s*([\s\S]*)/i);
+
+    if (!castMatch) {
+        return [];
+    }
+
+    // Entries are one per line or separated by semicolons, the list ends at the first blank line
+    const entries = castMatch[1].split(/\n\s*\n/)[0].split(/[\n;]/);
+
+    entries.forEach(entry => {
+        const match = entry.trim().match(/^(.+?)\s*(?::|\s[-–—]\s|\bread by\b)\s*(.+)$/i);
+        if (!match) {
+            return;
+        }
+
+        const role = match[1].trim();
+        const name = match[2].trim().replace(/\.$/, '');
+        const reader = readersByName[name.toLowerCase()];
+
+        cast.push({
+            role,
+            name: reader?.name || name,
+            id: reader?.id || '',
+            url: reader?.id ? `${URLS.READER_BASE}/${reader.id}` : ''
+        });
+    });
+
+    return cast;
+}
+
+/**
+ * Format the "Cast" block of a chapter description: the roles of the chapter's readers.
+ * Cast members parsed from the description are matched by name when they have no reader ID.
+ * @param {Object} chapter Formatted chapter data
+ * @param {Object[]} cast Cast from parseCastList
+ * @returns {string} Cast text, empty if none of the chapter's readers is in the cast
+ */
+function formatCastText(chapter, cast) {
+    if (!cast || cast.length === 0) {
+        return '';
+    }
+
+    const chapterReaders = chapter.readers || [];
+    const members = cast.filter(member => chapterReaders.some(reader => member.id
+        ? `${reader.id}` === `${member.id}`
+        : (reader.name || '').toLowerCase() === member.name.toLowerCase()));
+
+    if (members.length === 0) {
+        return '';
+    }
+
+    const lines = members.map(member => {
+        const name = escapeHtml(member.name);
+        const reader = member.url ? `<a href="${member.url}">${name}</a>` : name;
+        return `${escapeHtml(member.role)} → ${reader}`;
+    });
+
+    return `\n\nCast:\n${lines.join('\n')}`;
+}
+
+/**
+ * Every contributor credited on a book: authors, translators and editors
+ * @param {Object} book Audiobook record
+ * @returns {Array<{role: string, id: string, name: string, url: string}>} Contributors with their channel URL
+ */
+function getBookContributors(book) {
+    const fields = {
+        [CONTRIBUTOR_ROLE.AUTHOR]: book.authors,
+        [CONTRIBUTOR_ROLE.TRANSLATOR]: book.translators,
+        [CONTRIBUTOR_ROLE.EDITOR]: book.editors
+    };
+
+    return [].concat(...Object.keys(fields).map(role => (fields[role] || [])
+        .map(person => ({
+            role,
+            id: person?.id || '',
+            name: person?.name || [person?.first_name, person?.last_name].filter(Boolean).join(' ').trim(),
+            url: person?.id ? contributorUrl(person.id, role) : ''
+        }))
+        .filter(person => person.name)));
+}
+
+/**
+ * Channel URL of a contributor; translators have their own channel, editors share the author channel
+ * @param {string} id Author ID
+ * @param {string} role One of CONTRIBUTOR_ROLE
+ * @returns {string} Channel URL
+ */
+function contributorUrl(id, role) {
+    return role === CONTRIBUTOR_ROLE.TRANSLATOR
+        ? `${URLS.INTERNAL_TRANSLATOR}/${id}`
+        : `${URLS.AUTHOR_BASE}/${id}`;
+}
+
+/**
+ * Name of the author link of a book, crediting co-authors (e.g. "Marx & Engels", "Homer et al.")
+ * @param {Object[]} authors Book authors
+ * @returns {string} Author names
+ */
+function formatAuthorNames(authors) {
+    const names = (authors || []).map(author => author?.name).filter(Boolean);
+
+    if (names.length === 0) {
+        return FALLBACK_AUTHOR;
+    }
+    if (names.length === 1) {
+        return names[0];
+    }
+    if (names.length === 2) {
+        return `${names[0]} & ${names[1]}`;
+    }
+    return `${names[0]} et al.`;
+}
+
+/**
+ * Convert a section recorded by a reader to a playable video
+ * @param {Object} section Section data from /api/v3/readers/{id}/sections
+ * @param {string} readerId Reader ID
+ * @returns {PlatformVideo|null} Section video, or null if the book is unknown
+ */
+function readerSectionToVideo(section, readerId) {
+    const book = section?.audiobook || {};
+    const bookId = book.id || section?.audiobook_id;
+
+    if (!bookId) {
+        return null;
+    }
+
+    const sectionNumber = parseInt(section.section_number);
+    // The section ID identifies the chapter, the index is only a hint for older links
+    const chapterIndex = sectionNumber > 0 ? sectionNumber - 1 : 0;
+    const sectionTitle = section.title || `Section ${sectionNumber || chapterIndex + 1}`;
+    const bookTitle = book.title || FALLBACK_TITLE;
+
+    const author = book.authors?.[0];
+    const authorUrl = author?.id ? `${URLS.AUTHOR_BASE}/${author.id}` : `${URLS.READER_BASE}/${readerId}`;
+
+    return new PlatformVideo({
+        id: new PlatformID(PLATFORM, `${bookId}_section_${section.id}`, config.id),
+        name: `${sectionTitle} (${bookTitle})`,
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, authorUrl, config.id),
+            author?.name || FALLBACK_AUTHOR,
+            authorUrl,
+            author?.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR
+        ),
+        url: `https://grayjay.internal/librivox/book/${bookId}?chapter=${chapterIndex}&section=${section.id}`,
+        duration: parseInt(section.playtime) || 0,
+        thumbnails: new Thumbnails([new Thumbnail(book.coverart_thumbnail || book.coverart_jpg || DEFAULT_IMAGES.BOOK_COVER)])
+    });
+}
+
+/**
+ * Convert audiobook data to platform playlist format
+ * @param {Object} book Audiobook data
+ * @returns {PlatformPlaylist} Platform playlist object
+ */
+function audiobookToPlaylist(book) {
+    if (!book) {
+        logError("Attempted to convert null or undefined book");
+        return null;
+    }
+
+    const author = book?.authors?.[0] || { id: '', name: '' };
+    const author_name = formatAuthorNames(book?.authors);
+    const author_url = author.id ? `${URLS.AUTHOR_BASE}/${author.id}` : '';
+    const image_url = author.image_url || DEFAULT_IMAGES.AUTHOR_AVATAR;
+    const bookId = book.id || extractId(book?.url_librivox) || '';
+    // Entries other recordings were folded into (see collapseVersions) say so under the title,
+    // the book details list the versions
+    const author_line = book.version_count > 1 ? `${author_name} · ${book.version_count} versions` : author_name;
+
+    return new PlatformPlaylist({
+        id: new PlatformID(
+            PLATFORM,
+            bookId.toString(),
+            config.id,
+        ),
+        author: new PlatformAuthorLink(
+            new PlatformID(PLATFORM, author_url, config.id),
+            author_line,
+            author_url,
+            image_url
+        ),
+        name: book?.title || FALLBACK_TITLE,
+        thumbnail: book.coverart_thumbnail || book?.coverart_jpg || DEFAULT_IMAGES.BOOK_COVER,
+        videoCount: book?.sections?.length || book?.num_sections || UNKNOWN_COUNT,
+        url: `https://grayjay.internal/librivox/book?id=${bookId}`
+    });
+}
+
+/**
+ * Check whether a book is a project still being recorded, which has no catalogue page yet.
+ * Abandoned projects have no catalogue page either, but won't be coming.
+ * @param {Object} book Audiobook record
+ * @returns {boolean} True if the book isn't catalogued and is still being recorded
+ */
+function isInProgressBook(book) {
+    return !!book && !book.url_librivox && !isAbandonedProject(book);
+}
+
+/**
+ * Check whether a project was abandoned, by its project status
+ * @param {Object} book Audiobook record
+ * @returns {boolean} True if the project status says abandoned
+ */
+function isAbandonedProject(book) {
+    const status = `${book.status || book.project_status || ''}`.toLowerCase();
+    return status.includes(ABANDONED_PROJECT_STATUS);
+}
+
+/**
+ * Format the status of an in-progress project, e.g. "Coming soon (English) · In progress · 12/30 sections"
+ * @param {Object} book Audiobook record
+ * @returns {string} Project language, status and completed-section count
+ */
+function formatProjectProgress(book) {
+    const sections = Array.isArray(book.sections) ? book.sections : [];
+    const total = parseInt(book.num_sections) || sections.length;
+    const completed = sections.filter(section => section.listen_url).length;
+    const status = book.status || book.project_status || 'In progress';
+    const language = book.language ? ` (${book.language})` : '';
+
+    const parts = [`Coming soon${language}`, status];
+    if (total > 0) {
+        parts.push(`${completed}/${total} sections`);
+    }
+
+    return parts.join(' · ');
+}
+
+/**
+ * Build audio sources for a chapter from every Archive.org derivative of its section file
+ * @param {Object} chapter Formatted chapter data
+ * @param {string|null} iarchive_id Archive.org ID of the book
+ * @returns {AudioUrlSource[]} Audio sources, preferred quality first
+ */
+function buildChapterAudioSources(chapter, iarchive_id) {
+    const duration = chapter.duration;
+    const sourceFileName = chapter.chapterFile
+        ? decodeURIComponent(chapter.chapterFile.split('?')[0].split('/').pop())
+        : '';
+    // Derivatives reference the uploaded file through `original`; listen_url points at the 64kbps derivative
+    const originalName = sourceFileName.replace(/_64kb\.mp3$/i, '.mp3');
+
+    const variants = [];
+
+    if (iarchive_id && originalName) {
+        fetchArchiveFiles(iarchive_id)
+            .filter(file => file.name === originalName || file.original === originalName)
+            .forEach(file => {
+                const format = /\.m4b$/i.test(file.name) ? null : ARCHIVE_AUDIO_FORMATS[file.format];
+
+                if (!format || variants.some(v => v.format.key === format.key)) {
+                    return;
+                }
+
+                const size = parseInt(file.size) || 0;
+                const length = parseFloat(file.length) || duration;
+                const bitrate = format.bitrate
+                    || (parseInt(file.bitrate) * 1000)
+                    || (size && length ? Math.round(size * 8 / length) : 0);
+
+                variants.push({
+                    format,
+                    bitrate,
+                    size,
+                    url: `${URLS.ARCHIVE_DOWNLOAD}/${iarchive_id}/${file.name.split('/').map(encodeURIComponent).join('/')}`
+                });
+            });
+    }
+
+    // Fall back to the section's listen_url when the item metadata is not available
+    if (variants.length === 0 && chapter.chapterFile) {
+        variants.push({
+            format: ARCHIVE_AUDIO_FORMATS['64Kbps MP3'],
+            bitrate: ARCHIVE_AUDIO_FORMATS['64Kbps MP3'].bitrate,
+            size: 0,
+            url: chapter.chapterFile
+        });
+    }
+
+    const preferredKey = AUDIO_QUALITY_PREFERENCES[settings.preferredAudioQualityIndex] || null;
+
+    variants.sort((a, b) => {
+        if (preferredKey) {
+            const aPreferred = a.format.key === preferredKey;
+            const bPreferred = b.format.key === preferredKey;
+            if (aPreferred !== bPreferred) {
+                return aPreferred ? -1 : 1;
+            }
+        }
+        return b.bitrate - a.bitrate;
+    });
+
+    return variants.map(variant => {
+        let name = `${variant.format.label} (archive.org)`;
+        if (variant.size > 0) {
+            name = `${variant.format.label}, ${formatFileSize(variant.size)} (archive.org)`;
+        }
+
+        return new AudioUrlSource({
+            name,
+            container: variant.format.container,
+            codec: variant.format.codec,
+            bitrate: variant.bitrate,
+            url: variant.url,
+            language: 'Unknown',
+            duration
+        });
+    });
+}
+
+// ====================== RESPONSE CACHE ======================
+
+/**
+ * Get a value from the response cache
+ * @param {string} key Cache key (e.g. "book:123")
+ * @returns {*} Cached value, or null if missing or expired
+ */
+function cacheGet(key) {
+    const entry = state.cache.entries[key];
+
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+        delete state.cache.entries[key];
+        return null;
+    }
+
+    entry.lastAccess = Date.now();
+    return entry.value;
+}
+
+/**
+ * Store a value in the response cache, evicting the least recently used entries when full
+ * @param {string} key Cache key (e.g. "book:123")
+ * @param {*} value Value to cache, must be JSON serialisable
+ * @param {number} ttlMs Time to live in milliseconds
+ */
+function cacheSet(key, value, ttlMs) {
+    const now = Date.now();
+
+    state.cache.entries[key] = {
+        value,
+        expiresAt: now + ttlMs,
+        lastAccess: now
+    };
+
+    pruneCache();
+}
+
+/**
+ * Remove expired entries and enforce CACHE_MAX_ENTRIES for each kind of entry,
+ * so scrolling through views or pages doesn't evict the book details
+ */
+function pruneCache() {
+    const now = Date.now();
+    const entries = state.cache.entries;
+    const keysByKind = {};
+
+    Object.keys(entries).forEach(key => {
+        if (entries[key].expiresAt <= now) {
+            delete entries[key];
+            return;
+        }
+
+        const kind = key.split(':')[0];
+        (keysByKind[kind] = keysByKind[kind] || []).push(key);
+    });
+
+    Object.entries(keysByKind).forEach(([kind, keys]) => {
+        const maxEntries = CACHE_MAX_ENTRIES[kind] ?? CACHE_MAX_ENTRIES_DEFAULT;
+
+        if (keys.length <= maxEntries) {
+            return;
+        }
+
+        keys
+            .sort((a, b) => entries[a].lastAccess - entries[b].lastAccess)
+            .slice(0, keys.length - maxEntries)
+            .forEach(key => delete entries[key]);
+    });
+}
+
+/**
+ * Keep only the audiobook record fields the plugin reads
+ * @param {Object} book Audiobook record from the API
+ * @returns {Object} Trimmed record
+ */
+function trimAudiobookRecord(book) {
+    if (!book || typeof book !== 'object') {
+        return book;
+    }
+
+    const trimmed = pickFields(book, CACHED_BOOK_FIELDS);
+
+    if (Array.isArray(book.sections)) {
+        trimmed.sections = book.sections.map(section => pickFields(section, CACHED_SECTION_FIELDS));
+    }
+
+    return trimmed;
+}
+
+/**
+ * Copy the given fields of an object, skipping missing ones
+ * @param {Object} object Source object
+ * @param {string[]} fields Field names
+ * @returns {Object} Object with only those fields
+ */
+function pickFields(object, fields) {
+    const picked = {};
+
+    fields.forEach(field => {
+        if (object[field] !== undefined) {
+            picked[field] = object[field];
+        }
+    });
+
+    return picked;
+}
+
+/**
+ * Cache an audiobook details record so details screens can skip the API request.
+ * Only records fetched for a details screen are cached, list pages would evict them.
+ * @param {Object} book Trimmed audiobook record
+ * @param {string} [requestedId] ID or slug the record was requested with, if different from book.id
+ */
+function cacheAudiobookRecord(book, requestedId = null) {
+    if (!book?.id || !Array.isArray(book.sections)) {
+        return;
+    }
+
+    const ttl = isInProgressBook(book) ? CACHE_TTL_MS.IN_PROGRESS : CACHE_TTL_MS.BOOK;
+
+    cacheSet(`book:${book.id}`, book, ttl);
+
+    if (requestedId && requestedId != book.id) {
+        cacheSet(`book:${requestedId}`, book, ttl);
+    }
+}
+
+// ====================== HTTP UTILITIES ======================
+
+/**
+ * Error thrown by httpGET and httpBatchGET, classified so callers can decide whether to retry or fail over
+ */
+class HttpRequestException extends ScriptException {
+    /**
+     * @param {string} message Message shown to the user
+     * @param {string} kind One of HTTP_ERROR_KIND
+     * @param {number} [code=0] HTTP status code, 0 if the request didn't complete
+     * @param {number|null} [retryAfterMs=null] Delay requested by the server through Retry-After
+     */
+    constructor(message, kind, code = 0, retryAfterMs = null) {
+        super(message);
+        this.kind = kind;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Gets the requested url and returns the response body either as a string or as a parsed json object.
+ * Rate limits, server errors and network errors are retried with exponential backoff (honouring Retry-After);
+ * not found, other client errors and unparseable responses fail immediately.
+ * @param {string | Object} urlOrOptions - Either a URL string or an options object
+ * @param {string} urlOrOptions.url - The URL to call (when using object form)
+ * @param {boolean} [urlOrOptions.useAuthenticated=false] - If true, will use the authenticated headers
+ * @param {boolean} [urlOrOptions.parseResponse=true] - If true, will parse the response as json and check for errors
+ * @param {number} [urlOrOptions.retries=DEFAULT_RETRIES] - Number of retry attempts
+ * @param {Object} [urlOrOptions.headers=null] - Custom headers to use for the request
+ * @param {string} [urlOrOptions.notFoundMessage=null] - Message of the error thrown on a 404
+ * @returns {string | Object} the response body as a string or the parsed json object
+ * @throws {HttpRequestException|ScriptException}
+ */
+function httpGET(urlOrOptions) {
+    // Support both string URL and options object
+    const options = typeof urlOrOptions === 'string'
+        ? { url: urlOrOptions }
+        : urlOrOptions;
+
+    const {
+        url,
+        useAuthenticated = false,
+        parseResponse = true,
+        retries = DEFAULT_RETRIES,
+        headers = null,
+        notFoundMessage = null
+    } = options;
+
+    let lastError;
+    const maxRetries = effectiveRetries(retries);
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0) {
+            sleep(getRetryDelayMs(lastError, attempt));
+        }
+
+        try {
+            const localHeaders = headers ?? REQUEST_HEADERS_API;
+
+            let resp;
+            try {
+                resp = http.GET(
+                    url,
+                    localHeaders,
+                    useAuthenticated
+                );
+            } catch (error) {
+                logError(`Network error for [${url}]: ${error.message}`);
+                throw new HttpRequestException(`Could not reach ${getHost(url)}, check your connection`, HTTP_ERROR_KIND.NETWORK);
+            }
+
+            return readHttpResponse(resp, url, parseResponse, notFoundMessage);
+        } catch (error) {
+            lastError = error;
+
+            if (!isRetryableError(error)) {
+                break;
+            }
+        }
+    }
+
+    logError(`Request [${url}] failed: ${lastError?.message}`);
+    throw lastError;
+}
+
+/**
+ * Gets several urls in one round trip using http.batch(), retrying the failed ones like httpGET
+ * @param {Array<string | Object>} requests URLs or httpGET options objects
+ * @returns {Array<{data: (string|Object|null), error: (Error|null)}>} Result per request, in request order
+ */
+function httpBatchGET(requests) {
+    const optionsList = requests.map(request => typeof request === 'string' ? { url: request } : request);
+    const results = optionsList.map(() => ({ data: null, error: null }));
+
+    let pending = optionsList.map((_, index) => index);
+    const retries = effectiveRetries(Math.max(...optionsList.map(options => options.retries ?? DEFAULT_RETRIES)));
+
+    for (let attempt = 0; attempt <= retries && pending.length > 0; attempt++) {
+        if (attempt > 0) {
+            // Wait for the longest delay asked for by any of the failed requests
+            sleep(Math.max(...pending.map(index => getRetryDelayMs(results[index].error, attempt))));
+        }
+
+        let responses = [];
+
+        try {
+            const batch = http.batch();
+            pending.forEach(index => {
+                const options = optionsList[index];
+                batch.GET(options.url, options.headers ?? REQUEST_HEADERS_API, options.useAuthenticated ?? false);
+            });
+            responses = batch.execute();
+        } catch (error) {
+            logError(`Network error for batch: ${error.message}`);
+        }
+
+        const failed = [];
+
+        pending.forEach((index, position) => {
+            const options = optionsList[index];
+            const resp = responses[position];
+
+            try {
+                if (!resp) {
+                    throw new HttpRequestException(`Could not reach ${getHost(options.url)}, check your connection`, HTTP_ERROR_KIND.NETWORK);
+                }
+
+                results[index] = {
+                    data: readHttpResponse(resp, options.url, options.parseResponse ?? true, options.notFoundMessage),
+                    error: null
+                };
+            } catch (error) {
+                results[index] = { data: null, error };
+
+                if (attempt < effectiveRetries(options.retries ?? DEFAULT_RETRIES) && isRetryableError(error)) {
+                    failed.push(index);
+                }
+            }
+        });
+
+        pending = failed;
+    }
+
+    results.forEach((result, index) => {
+        if (result.error) {
+            logError(`Batched request [${optionsList[index].url}] failed: ${result.error.message}`);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Check a response and return its body, parsed as json when requested
+ * @param {Object} resp Response from http.GET or a batch
+ * @param {string} url Requested URL, for error messages
+ * @param {boolean} parseResponse If true, will parse the response as json and check for errors
+ * @param {string|null} [notFoundMessage=null] Message of the error thrown on a 404
+ * @returns {string | Object} the response body as a string or the parsed json object
+ * @throws {HttpRequestException|ScriptException}
+ */
+function readHttpResponse(resp, url, parseResponse, notFoundMessage = null) {
+    if (!resp.isOk) {
+        throw httpErrorFromResponse(resp, url, notFoundMessage);
+    }
+
+    if (parseResponse) {
+        let json;
+        try {
+            json = JSON.parse(resp.body);
+        } catch (error) {
+            throw new HttpRequestException(`Unexpected response from ${getHost(url)}`, HTTP_ERROR_KIND.PARSE, resp.code);
+        }
+
+        if (json.errors) {
+            throw new ScriptException(json.errors[0].message);
+        }
+        return json;
+    }
+
+    return resp.body;
+}
+
+/**
+ * Classify a failed response
+ * @param {Object} resp Response with a non-OK status
+ * @param {string} url Requested URL
+ * @param {string|null} notFoundMessage Message used for a 404
+ * @returns {HttpRequestException} Classified error with a readable message
+ */
+function httpErrorFromResponse(resp, url, notFoundMessage) {
+    const code = resp.code;
+    const host = getHost(url);
+
+    if (!code || code <= 0) {
+        return new HttpRequestException(`Could not reach ${host}, check your connection`, HTTP_ERROR_KIND.NETWORK, 0);
+    }
+
+    if (code === 404) {
+        return new HttpRequestException(notFoundMessage || `Not found on ${host}`, HTTP_ERROR_KIND.NOT_FOUND, code);
+    }
+
+    if (code === 429) {
+        return new HttpRequestException(
+            `${host} is receiving too many requests, please try again in a moment`,
+            HTTP_ERROR_KIND.RATE_LIMITED,
+            code,
+            parseRetryAfterMs(getResponseHeader(resp, 'retry-after'))
+        );
+    }
+
+    if (code >= 500) {
+        return new HttpRequestException(
+            `${host} is temporarily unavailable (HTTP ${code})`,
+            HTTP_ERROR_KIND.SERVER,
+            code,
+            parseRetryAfterMs(getResponseHeader(resp, 'retry-after'))
+        );
+    }
+
+    return new HttpRequestException(`Request to ${host} failed (HTTP ${code})`, HTTP_ERROR_KIND.CLIENT, code);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error Error thrown by a request
+ * @param {boolean} [ignoreRetryAfter=false] If true, a long Retry-After doesn't make the error permanent
+ * @returns {boolean} True for rate limits, server errors and network errors
+ */
+function isRetryableError(error, ignoreRetryAfter = false) {
+    if (!(error instanceof HttpRequestException)) {
+        return false;
+    }
+
+    const retryable = [HTTP_ERROR_KIND.RATE_LIMITED, HTTP_ERROR_KIND.SERVER, HTTP_ERROR_KIND.NETWORK].includes(error.kind);
+
+    if (!retryable || ignoreRetryAfter || error.retryAfterMs === null) {
+        return retryable;
+    }
+
+    return error.retryAfterMs <= RETRY_AFTER_MAX_MS;
+}
+
+/**
+ * Delay before the next attempt: Retry-After when the server sent one, else exponential backoff
+ * @param {Error} error Error of the previous attempt
+ * @param {number} attempt Attempt about to be made (1 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(error, attempt) {
+    if (error?.retryAfterMs !== null && error?.retryAfterMs !== undefined) {
+        return error.retryAfterMs;
+    }
+    return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfterMs(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value.trim()) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read a response header case-insensitively
+ * @param {Object} resp Response
+ * @param {string} name Header name
+ * @returns {string|null} First header value
+ */
+function getResponseHeader(resp, name) {
+    const headers = resp?.headers || {};
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+
+    if (!key) {
+        return null;
+    }
+
+    const value = headers[key];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Check whether the runtime can pause between retries
+ * @returns {boolean} True if bridge.sleep is available
+ */
+function canSleep() {
+    return typeof bridge.sleep === 'function';
+}
+
+/**
+ * Number of retries to make for a request. Without a way to pause there is no backoff,
+ * so a request is retried at most once, straight away.
+ * @param {number} retries Retries asked for
+ * @returns {number} Retries to make
+ */
+function effectiveRetries(retries) {
+    return canSleep() ? retries : Math.min(retries, 1);
+}
+
+/**
+ * Pause between retries, does nothing when the runtime has no sleep
+ * @param {number} ms Milliseconds to wait
+ */
+function sleep(ms) {
+    if (ms > 0 && canSleep()) {
+        bridge.sleep(ms);
+    }
+}
+
+/**
+ * Extract the host of a URL for error messages
+ * @param {string} url URL
+ * @returns {string} Host name
+ */
+function getHost(url) {
+    const match = (url || '').match(/^https?:\/\/([^\/?#]+)/);
+    return match ? match[1] : 'LibriVox';
+}
+
+/**
+ * Fetch several independent requests in one batch and store the results in the response cache.
+ * Entries already cached are skipped, entries with the same request URL share one request;
+ * failures are left for the regular, non-batched path to retry.
+ * @param {Array<{key: string, request: (string|Object), ttl: number, transform: Function}>} entries
+ *   Cache key, httpGET request, time to live and a function mapping the response to the cached value
+ */
+function prefetchIntoCache(entries) {
+    const missing = entries.filter(entry => cacheGet(entry.key) === null);
+
+    if (missing.length === 0) {
+        return;
+    }
+
+    const requestUrl = (request) => typeof request === 'string' ? request : request.url;
+    const requests = missing
+        .map(entry => entry.request)
+        .filter((request, index, all) => all.findIndex(other => requestUrl(other) === requestUrl(request)) === index);
+    const results = httpBatchGET(requests);
+
+    missing.forEach(entry => {
+        const result = results[requests.findIndex(request => requestUrl(request) === requestUrl(entry.request))];
+
+        if (result.error) {
+            return;
+        }
+
+        try {
+            const value = entry.transform(result.data);
+            if (value !== null && value !== undefined) {
+                cacheSet(entry.key, value, entry.ttl);
+            }
+        } catch (error) {
+            logError(`Error reading prefetched ${entry.key}: ${error.message}`);
+        }
+    });
+}
+
+// ====================== DEEP LINKS ======================
+
+/**
+ * Map a shared link to the internal book, chapter or whole-book URL the plugin works with.
+ * Handles LibriVox archive.org item pages and audio files, librivox.org/rss/<id> feeds,
+ * official API records (api/feed/audiobooks?id=) and forum threads; other URLs are returned unchanged.
+ * @param {string} url Shared URL
+ * @returns {string} Internal URL, or the URL itself if it isn't a deep link
+ * @throws {ScriptException} If the link can't be matched to a LibriVox book
+ */
+function resolveDeepLink(url) {
+    const rssMatch = url.match(REGEX.LIBRIVOX_RSS) || url.match(REGEX.OFFICIAL_API_BOOK);
+    if (rssMatch) {
+        return internalBookUrl(rssMatch[1]);
+    }
+
+    const fileMatch = isLibriVoxArchiveLink(url, REGEX.ARCHIVE_ORG_FILE) && url.match(REGEX.ARCHIVE_ORG_FILE);
+    if (fileMatch) {
+        const iarchiveId = decodeURIComponent(fileMatch[1]);
+        const filePath = decodeURIComponent(fileMatch[2]);
+        const fileName = filePath.split('/').pop();
+        const bookId = findBookIdByArchiveId(iarchiveId);
+
+        if (/\.m4b$/i.test(fileName)) {
+            // Multi-part books have one whole-book item per M4B file
+            const wholeBookFiles = findWholeBookFiles(iarchiveId);
+            const partIndex = wholeBookFiles.findIndex(file => file.name === filePath || file.name.split('/').pop() === fileName);
+            if (partIndex < 0) {
+                throw new ScriptException(`${fileName} is not a whole-book file of this LibriVox recording`);
+            }
+            return wholeBookUrl(bookId, partIndex, wholeBookFiles.length);
+        }
+
+        const chapterIndex = findSectionIndexByFileName(bookId, fileName);
+        if (chapterIndex < 0) {
+            throw new ScriptException(`No LibriVox section matches ${fileName}`);
+        }
+        return `https://grayjay.internal/librivox/book/${bookId}?chapter=${chapterIndex}`;
+    }
+
+    const detailsMatch = isLibriVoxArchiveLink(url, REGEX.ARCHIVE_ORG_DETAILS) && url.match(REGEX.ARCHIVE_ORG_DETAILS);
+    if (detailsMatch) {
+        return internalBookUrl(findBookIdByArchiveId(decodeURIComponent(detailsMatch[1])));
+    }
+
+    const forumMatch = url.match(REGEX.FORUM_THREAD);
+    if (forumMatch) {
+        return internalBookUrl(findBookIdByForumThread(forumMatch[1]));
+    }
+
+    return url;
+}
+
+/**
+ * Check whether a link points to a LibriVox archive.org item, or one of its files
+ * @param {string} url Shared URL
+ * @param {RegExp} regex REGEX.ARCHIVE_ORG_DETAILS or REGEX.ARCHIVE_ORG_FILE, capturing the item ID first
+ * @returns {boolean} True if the link matches and its item is a LibriVox recording
+ */
+function isLibriVoxArchiveLink(url, regex) {
+    const match = url.match(regex);
+    return !!match && REGEX.LIBRIVOX_ARCHIVE_ID.test(decodeURIComponent(match[1]));
+}
+
+/**
+ * Internal playlist URL of a book
+ * @param {string} bookId Audiobook ID or slug
+ * @returns {string} Internal book URL
+ */
+function internalBookUrl(bookId) {
+    return `https://grayjay.internal/librivox/book?id=${bookId}`;
+}
+
+/**
+ * Find the LibriVox book recorded in an archive.org item: from the catalog link in the item description,
+ * otherwise by searching the item title
+ * @param {string} iarchiveId Archive.org ID
+ * @returns {string} Audiobook ID or slug
+ * @throws {ScriptException} If no book matches
+ */
+function findBookIdByArchiveId(iarchiveId) {
+    const cached = cacheGet(`link:archive:${iarchiveId}`);
+    if (cached) {
+        return cached;
+    }
+
+    let bookId = null;
+
+    try {
+        const metadata = httpGET(`${URLS.ARCHIVE_METADATA}/${encodeURIComponent(iarchiveId)}/metadata`)?.result || {};
+        const text = [].concat(metadata.description || [], metadata.source || []).join(' ');
+        bookId = findCatalogSlug(text);
+
+        if (!bookId && metadata.title) {
+            const title = [].concat(metadata.title)[0];
+            const params = { q: normalizeWorkTitle(title), limit: MAX_VERSION_CANDIDATES, offset: 0 };
+            const response = apiGET(
+                `${URLS.API_AUDIOBOOKS_SEARCH}?${objectToUrlEncodedString(params)}`,
+                () => officialAudiobooksSearch(params)
+            );
+            const book = (Array.isArray(response?.data) ? response.data : [])
+                .find(candidate => extractArchiveId(candidate) === iarchiveId);
+            bookId = book?.id ? `${book.id}` : null;
+        }
+    } catch (error) {
+        // A missing item has no book, network and server errors are reported as they are
+        if (!(error instanceof HttpRequestException) || error.kind !== HTTP_ERROR_KIND.NOT_FOUND) {
+            throw error;
+        }
+        logError(`Error resolving archive.org item ${iarchiveId}: ${error.message}`);
+    }
+
+    if (!bookId) {
+        throw new ScriptException(`No LibriVox book found for archive.org item ${iarchiveId}`);
+    }
+
+    cacheSet(`link:archive:${iarchiveId}`, bookId, CACHE_TTL_MS.DEEP_LINK);
+    return bookId;
+}
+
+/**
+ * Find the LibriVox book a forum thread is about, from the catalog link posted in the thread
+ * @param {string} threadId Forum topic ID
+ * @returns {string} Audiobook slug
+ * @throws {ScriptException} If the thread links to no book, or it couldn't be fetched
+ */
+function findBookIdByForumThread(threadId) {
+    const cached = cacheGet(`link:forum:${threadId}`);
+    if (cached) {
+        return cached;
+    }
+
+    let bookId = null;
+
+    try {
+        const html = httpGET({
+            url: `${URLS.FORUM_BASE}/viewtopic.php?t=${threadId}`,
+            parseResponse: false,
+            headers: REQUEST_HEADERS
+        });
+        bookId = findCatalogSlug(decodeHtmlEntities(html));
+    } catch (error) {
+        logError(`Error resolving forum thread ${threadId}: ${error.message}`);
+        // A missing thread links to no book, a failed lookup says so rather than blaming the link
+        if (!(error instanceof HttpRequestException) || error.kind !== HTTP_ERROR_KIND.NOT_FOUND) {
+            throw new ScriptException(`Couldn't look up forum thread ${threadId}: ${error.message}`);
+        }
+    }
+
+    if (!bookId) {
+        throw new ScriptException('This forum thread doesn\'t link to a catalogued LibriVox book');
+    }
+
+    cacheSet(`link:forum:${threadId}`, bookId, CACHE_TTL_MS.DEEP_LINK);
+    return bookId;
+}
+
+/**
+ * Find the first LibriVox catalog page link in a text
+ * @param {string} text Text or HTML
+ * @returns {string|null} Book slug
+ */
+function findCatalogSlug(text) {
+    const links = (text || '').match(/https?:\/\/(?:www\.)?librivox\.org\/[a-zA-Z0-9-]+\/?/g) || [];
+    // Blog posts, feeds and the API share the domain but aren't catalog pages
+    const catalogLink = links.find(link => REGEX.PLAYLIST.test(link) && !/\.org\/(?:\d+|api|rss)\/?$/.test(link));
+    return catalogLink ? extractSlug(catalogLink) : null;
+}
+
+/**
+ * Find the section an archive.org audio file belongs to; derivatives only differ by bitrate suffix and extension
+ * @param {string} bookId Audiobook ID or slug
+ * @param {string} fileName Audio file name
+ * @returns {number} Section index, -1 if no section matches
+ */
+function findSectionIndexByFileName(bookId, fileName) {
+    const baseName = (name) => name.toLowerCase().replace(/\.(?:mp3|ogg|m4b)$/, '').replace(/_(?:64|128)kb$/, '');
+    const target = baseName(fileName);
+
+    return (fetchAudiobookRecord(bookId).sections || []).findIndex(section => {
+        const listenFile = decodeURIComponent((section.listen_url || '').split('?')[0].split('/').pop());
+        return listenFile && baseName(listenFile) === target;
+    });
+}
+
+// ====================== UTILITY FUNCTIONS ======================
+
+/**
+ * Build external links object for an author
+ * @param {Object} author Author object from API
+ * @returns {Object} Links object with platform URLs
+ */
+function buildAuthorLinks(author) {
+    const links = {
+        "LibriVox": `${URLS.AUTHOR_BASE}/${author.id}`
+    };
+
+    // Popular platforms (high priority)
+    if (author.wikipedia_url) {
+        links['Wikipedia'] = author.wikipedia_url;
+    }
+
+    if (author?.goodreads_id) {
+        links['Goodreads'] = `https://www.goodreads.com/author/show/${author.goodreads_id}/`;
+    }
+
+    if (author?.imdb_id) {
+        links['IMDB'] = `https://www.imdb.com/name/${author.imdb_id}/`;
+    }
+
+    if (author?.amazon_id) {
+        links['Amazon'] = `https://www.amazon.com/stores/author/${author.amazon_id}/`;
+    }
+
+    // Authority files and libraries
+    if (author?.lc_naf_id) {
+        links['Library of Congress'] = `https://id.loc.gov/authorities/names/${author.lc_naf_id}`;
+    }
+
+    if (author.wikidata_id) {
+        links['Wikidata'] = `https://www.wikidata.org/wiki/${author.wikidata_id}`;
+    }
+
+    if (author.viaf_id) {
+        links['VIAF'] = `https://viaf.org/viaf/${author.viaf_id}/`;
+    }
+
+    if (author.isni_id) {
+        links['ISNI'] = `https://isni.org/isni/${author.isni_id}`;
+    }
+
+    // Book platforms
+    if (author?.openlibrary_id) {
+        links['Open Library'] = `https://openlibrary.org/authors/${author.openlibrary_id}/`;
+    }
+
+    if (author?.project_gutenberg_id) {
+        links['Project Gutenberg'] = `https://www.gutenberg.org/ebooks/author/${author.project_gutenberg_id}/`;
+    }
+
+    if (author?.bookbrainz_id) {
+        links['BookBrainz'] = `https://bookbrainz.org/author/${author.bookbrainz_id}`;
+    }
+
+    if (author?.librarything_id) {
+        links['LibraryThing'] = `https://www.librarything.com/author/${author.librarything_id}/`;
+    }
+
+    if (author?.storygraph_id) {
+        links['StoryGraph'] = `https://app.thestorygraph.com/authors/${author.storygraph_id}`;
+    }
+
+    // Specialized platforms
+    if (author?.musicbrainz_id) {
+        links['MusicBrainz'] = `https://musicbrainz.org/artist/${author.musicbrainz_id}`;
+    }
+
+    // Regional libraries
+    if (author?.opac_sbn_id) {
+        links['Italian National Library'] = `https://opac.sbn.it/nome/${author.opac_sbn_id}`;
+    }
+
+    if (author?.gnd_id) {
+        links['German National Library'] = `https://d-nb.info/gnd/${author.gnd_id}`;
+    }
+
+    // Other platforms
+    if (author?.youtube_id) {
+        links['YouTube'] = author.youtube_id;
+    }
+
+    return links;
+}
+
+/**
+ * Extract reader ID from reader URL
+ * @param {string} url Reader URL
+ * @returns {string|null} Reader ID or null
+ */
+function extractReaderIdFromUrl(url) {
+    if (!url) return null;
+
+    const match = url.match(REGEX.READER_CHANNEL);
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract channel ID from URL
+ * @param {string} url Channel URL
+ * @returns {string|null} Channel ID or null
+ */
+function extractChannelId(url) {
+    if (!url) return null;
+
+    const match = url.match(REGEX.AUTHOR_CHANNEL) || url.match(REGEX.TRANSLATOR_CHANNEL);
+    // If there's a match, the ID will be in the first capture group (index 1)
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract book ID and chapter index from a chapter URL
+ * @param {string} url Chapter URL (internal or librivox.org)
+ * @returns {{bookId: string|null, chapterId: string|null, sectionId: string|null}} Book ID, chapter index and optional section ID
+ */
+function parseChapterUrl(url) {
+    let bookId, chapterId, sectionId;
+
+    // Handle internal URL format
+    if (url.startsWith('https://grayjay.internal/librivox/book/')) {
+        bookId = url.split('/').pop().split('?')[0];
+        const urlObj = new URL(url);
+        chapterId = urlObj.searchParams.get("chapter");
+        sectionId = urlObj.searchParams.get("section");
+    } else {
+        // Handle traditional URL
+        const meta = new URL(url);
+        chapterId = meta.searchParams.get("chapter");
+        sectionId = meta.searchParams.get("section");
+        bookId = extractId(url);
+    }
+
+    return { bookId, chapterId, sectionId };
+}
+
+/**
+ * Extract the book ID (or slug) from a book, chapter or whole-book URL
+ * @param {string} url Book, chapter or whole-book URL
+ * @returns {string|null} Book ID or slug
+ */
+function extractBookId(url) {
+    if (!url) return null;
+
+    const fullBookMatch = url.match(REGEX.FULL_BOOK);
+    if (fullBookMatch) {
+        return fullBookMatch[1];
+    }
+
+    if (url.startsWith('https://grayjay.internal/librivox/book/')) {
+        return url.split('/').pop().split('?')[0];
+    }
+
+    return extractId(url) || extractSlug(url);
+}
+
+/**
+ * Extract the Archive.org item ID of a book
+ * @param {Object} book Audiobook record
+ * @returns {string|null} Archive.org ID or null
+ */
+function extractArchiveId(book) {
+    const match = book?.url_iarchive?.match(REGEX.ARCHIVE_ORG_DETAILS);
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract ID from URL query parameter
+ * @param {string} url URL with ID parameter
+ * @returns {string|null} ID or null
+ */
+function extractId(url) {
+    if (!url) return null;
+
+    const match = url.match(/[?&]id=([^&]+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ * @param {string} html HTML fragment
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+    const text = (html || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(?:p|div|li)>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeHtmlEntities(text)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Escape text for use in description HTML
+ * @param {string} text Plain text
+ * @returns {string} Text with HTML special characters escaped
+ */
+function escapeHtml(text) {
+    return (text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode the HTML entities commonly found in forum pages
+ * @param {string} text Text with HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+    return (text || '')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#039;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Format a view count compactly
+ * @param {number} count View count
+ * @returns {string} Formatted count (e.g. "12.3K")
+ */
+function formatViewCount(count) {
+    if (count >= 1000000) {
+        return `${(count / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+    }
+    if (count >= 1000) {
+        return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}K`;
+    }
+    return `${count}`;
+}
+
+/**
+ * Check a Boolean setting, which may be stored as a boolean or a string
+ * @param {boolean|string} value Setting value
+ * @returns {boolean} True if enabled
+ */
+function isSettingEnabled(value) {
+    return value === true || value === 'true';
+}
+
+/**
+ * Format a duration as hours and minutes
+ * @param {number} seconds Duration in seconds
+ * @returns {string} Formatted runtime (e.g. "5h 12m" or "42m")
+ */
+function formatRuntime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    return `${Math.max(minutes, 1)}m`;
+}
+
+/**
+ * Format a byte count as a human readable size
+ * @param {number} bytes Size in bytes
+ * @returns {string} Formatted size (e.g. "12.3 MB")
+ */
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Convert object to URL encoded string
+ * @param {Object} obj Object to convert
+ * @returns {string} URL encoded string
+ */
+function objectToUrlEncodedString(obj) {
+    if (!obj || typeof obj !== 'object') {
+        return '';
+    }
+
+    const encodedParams = [];
+    for (const key in obj) {
+        if (obj.hasOwnProperty(key)) {
+            const encodedKey = encodeURIComponent(key);
+            const encodedValue = encodeURIComponent(obj[key]);
+            encodedParams.push(`${encodedKey}=${encodedValue}`);
+        }
+    }
+    return encodedParams.join('&');
+}
+
+
+/**
+ * Log an error message
+ * @param {string} message Error message
+ */
+function logError(message) {
+    if (IS_TESTING || isSettingEnabled(settings.debugLogging)) {
+        bridge.log(`[LibriVox Error] ${message}`);
+    }
+}
+
+/**
+ * Show a short message to the user, where the app supports it
+ * @param {string} message Message text
+ */
+function showToast(message) {
+    if (typeof bridge.toast === 'function') {
+        bridge.toast(message);
+    } else {
+        bridge.log(`[LibriVox] ${message}`);
+    }
+}
+
+function loadOptionsForSetting(settingKey, filterCb = () => true, mapCb = (x) => x) {
+    const all = config?.settings?.find((s) => s.variable == settingKey)
+        ?.options ?? [];
+
+    return all.filter(filterCb).map(mapCb);
+}
+
+log('LOADED');
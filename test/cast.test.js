@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./harness');
+
+const script = loadScript();
+
+const cast = (book) => Array.from(script.parseCastList(book), member => ({ ...member }));
+
+test('parseCastList reads roles from the section readers', () => {
+    const book = {
+        sections: [
+            { readers: [{ reader_id: '11', display_name: 'Ann', role: 'Hamlet' }] },
+            { readers: [{ reader_id: '11', display_name: 'Ann', role: 'Hamlet' }, { reader_id: '12', display_name: 'Bob', role: 'Ophelia' }] }
+        ]
+    };
+
+    assert.deepStrictEqual(cast(book), [
+        { role: 'Hamlet', name: 'Ann', id: '11', url: 'https://librivox.org/reader/11' },
+        { role: 'Ophelia', name: 'Bob', id: '12', url: 'https://librivox.org/reader/12' }
+    ]);
+});
+
+test('parseCastList falls back to the cast list in the description', () => {
+    const book = {
+        description: '<p>A tragedy.</p><p>Cast:<br>Hamlet: Ann<br>Ophelia - Bob.<br>Ghost read by Carl</p><p>Thanks to all.</p>',
+        sections: [{ readers: [{ reader_id: '11', display_name: 'Ann' }] }]
+    };
+
+    assert.deepStrictEqual(cast(book), [
+        { role: 'Hamlet', name: 'Ann', id: '11', url: 'https://librivox.org/reader/11' },
+        { role: 'Ophelia', name: 'Bob', id: '', url: '' },
+        { role: 'Ghost', name: 'Carl', id: '', url: '' }
+    ]);
+});
+
+test('parseCastList returns no cast without roles or a cast list', () => {
+    assert.strictEqual(script.parseCastList({ description: 'A novel.', sections: [] }).length, 0);
+});
+
+test('formatCastText lists only the roles of the chapter readers, escaped', () => {
+    const members = [
+        { role: 'Hamlet', name: 'Ann', id: '11', url: 'https://librivox.org/reader/11' },
+        { role: 'Ophelia <Act 3>', name: 'Bob & Co', id: '', url: '' }
+    ];
+
+    assert.strictEqual(
+        script.formatCastText({ readers: [{ id: '12', name: 'Bob & Co' }] }, members),
+        '\n\nCast:\nOphelia &lt;Act 3&gt; → Bob &amp; Co'
+    );
+    assert.strictEqual(
+        script.formatCastText({ readers: [{ id: '11', name: 'Ann' }] }, members),
+        '\n\nCast:\nHamlet → <a href="https://librivox.org/reader/11">Ann</a>'
+    );
+    // Readers outside the cast get the regular "Read by" line instead
+    assert.strictEqual(script.formatCastText({ readers: [{ id: '13', name: 'Dee' }] }, members), '');
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./harness');
+
+const ARCHIVE_ID = 'raven_poe_librivox';
+
+/**
+ * Stub of the archive.org and proxy endpoints used to resolve a LibriVox archive.org item
+ * @param {string} url Requested URL
+ * @returns {Object|undefined} Response body, undefined for a 404
+ */
+function routes(url) {
+    if (url.endsWith(`/metadata/${ARCHIVE_ID}/metadata`)) {
+        return { result: { description: 'Read for LibriVox, see https://librivox.org/the-raven-by-edgar-allan-poe/ for details' } };
+    }
+    if (url.endsWith(`/metadata/${ARCHIVE_ID}/files`)) {
+        return {
+            result: [
+                { name: 'raven_poe_1_librivox.m4b', format: 'Apple Audiobook', length: '600' },
+                { name: 'raven_poe_2_librivox.m4b', format: 'Apple Audiobook', length: '600' },
+                { name: 'raven_01_poe_64kb.mp3', format: '64Kbps MP3', length: '300' }
+            ]
+        };
+    }
+    if (url.endsWith('/audiobooks/the-raven-by-edgar-allan-poe')) {
+        return {
+            data: {
+                id: '42',
+                title: 'The Raven',
+                sections: [
+                    { id: '1', listen_url: 'https://www.archive.org/download/raven_poe_librivox/raven_01_poe_64kb.mp3' },
+                    { id: '2', listen_url: 'https://www.archive.org/download/raven_poe_librivox/raven_02_poe_64kb.mp3' }
+                ]
+            }
+        };
+    }
+    return undefined;
+}
+
+test('findCatalogSlug finds the first catalog page link', () => {
+    const script = loadScript();
+
+    assert.strictEqual(script.findCatalogSlug('See https://librivox.org/the-raven-by-edgar-allan-poe/ here'), 'the-raven-by-edgar-allan-poe');
+    assert.strictEqual(
+        script.findCatalogSlug('https://librivox.org/2024/01/02/news/ https://librivox.org/rss/42 https://librivox.org/api/ https://librivox.org/annabel-lee/'),
+        'annabel-lee'
+    );
+    assert.strictEqual(script.findCatalogSlug('No links here'), null);
+});
+
+test('only LibriVox archive.org items and files are claimed', () => {
+    const script = loadScript();
+
+    assert.ok(script.source.isPlaylistUrl(`https://archive.org/details/${ARCHIVE_ID}`));
+    assert.ok(!script.source.isPlaylistUrl('https://archive.org/details/nasa_apollo_footage'));
+    assert.ok(!script.source.isPlaylistUrl(`https://example.com/?u=https://archive.org/details/${ARCHIVE_ID}`));
+
+    assert.ok(script.source.isContentDetailsUrl(`https://archive.org/download/${ARCHIVE_ID}/raven_01_poe_64kb.mp3`));
+    assert.ok(!script.source.isContentDetailsUrl('https://archive.org/download/grateful_dead_1977/track01.mp3'));
+});
+
+test('resolveDeepLink maps feeds and API records to the book', () => {
+    const script = loadScript();
+
+    assert.strictEqual(script.resolveDeepLink('https://librivox.org/rss/42'), 'https://grayjay.internal/librivox/book?id=42');
+    assert.strictEqual(
+        script.resolveDeepLink('https://librivox.org/api/feed/audiobooks/?format=json&id=42'),
+        'https://grayjay.internal/librivox/book?id=42'
+    );
+    assert.strictEqual(script.resolveDeepLink('https://librivox.org/the-raven/'), 'https://librivox.org/the-raven/');
+});
+
+test('resolveDeepLink maps archive.org items, section files and M4B parts', () => {
+    const script = loadScript(routes);
+
+    assert.strictEqual(
+        script.resolveDeepLink(`https://archive.org/details/${ARCHIVE_ID}`),
+        'https://grayjay.internal/librivox/book?id=the-raven-by-edgar-allan-poe'
+    );
+    assert.strictEqual(
+        script.resolveDeepLink(`https://archive.org/download/${ARCHIVE_ID}/raven_02_poe_64kb.mp3`),
+        'https://grayjay.internal/librivox/book/the-raven-by-edgar-allan-poe?chapter=1'
+    );
+    assert.strictEqual(
+        script.resolveDeepLink(`https://archive.org/download/${ARCHIVE_ID}/raven_poe_2_librivox.m4b`),
+        'https://grayjay.internal/librivox/fullbook/the-raven-by-edgar-allan-poe?part=2'
+    );
+    assert.throws(() => script.resolveDeepLink(`https://archive.org/download/${ARCHIVE_ID}/other_librivox.m4b`));
+});
+
+test('resolveDeepLink reports network errors instead of a missing book', () => {
+    const script = loadScript(() => ({ code: 503, body: 'Unavailable' }));
+    script.sleep = () => {};
+
+    assert.throws(
+        () => script.resolveDeepLink(`https://archive.org/details/${ARCHIVE_ID}`),
+        error => /unavailable/i.test(error.message) && !/No LibriVox book/.test(error.message)
+    );
+});
+
+test('forum threads without a catalog link and failed forum lookups are told apart', () => {
+    const threadUrl = 'https://forum.librivox.org/viewtopic.php?t=123';
+
+    const noLink = loadScript(() => '<html>Just a discussion</html>');
+    assert.throws(() => noLink.resolveDeepLink(threadUrl), /doesn't link to a catalogued LibriVox book/);
+
+    const unavailable = loadScript(() => ({ code: 503, body: 'Unavailable' }));
+    unavailable.sleep = () => {};
+    assert.throws(() => unavailable.resolveDeepLink(threadUrl), /Couldn't look up forum thread 123/);
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Load LibriVoxScript.js in a sandbox with stubbed Grayjay globals
+ * @param {Function} [routes] Maps a requested URL to a response body, {code, body}, or undefined for a 404
+ * @param {Object} [settings] Plugin settings
+ * @returns {Object} Sandbox, with the script's functions, the `source` object and the requested URLs in `calls`
+ */
+function loadScript(routes = () => undefined, settings = {}) {
+    const calls = [];
+
+    const respond = (url) => {
+        calls.push(url);
+
+        let response = routes(url);
+        if (response === undefined) {
+            response = { code: 404, body: 'Not found' };
+        } else if (!response?.code) {
+            response = { code: 200, body: response };
+        }
+
+        return {
+            code: response.code,
+            isOk: response.code >= 200 && response.code < 300,
+            body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body),
+            headers: {}
+        };
+    };
+
+    const platformClass = (name) => class {
+        constructor(...args) {
+            Object.assign(this, args.length === 1 && typeof args[0] === 'object' ? args[0] : { args });
+            this.type = name;
+        }
+    };
+
+    class Pager {
+        constructor(results = [], hasMore = false, context = {}) {
+            this.results = results;
+            this.hasMore = hasMore;
+            this.context = context;
+        }
+
+        nextPage() {
+            return this;
+        }
+    }
+
+    const sandbox = {
+        URL,
+        URLSearchParams,
+        log: () => {},
+        IS_TESTING: false,
+        source: {},
+        plugin: { config: { constants: { baseUrl: 'https://proxy.test' } } },
+        bridge: { log: () => {}, toast: () => {}, isLoggedIn: () => false },
+        http: {
+            GET: (url) => respond(url),
+            batch: () => {
+                const queue = [];
+                const batch = {
+                    GET: (url) => {
+                        queue.push(url);
+                        return batch;
+                    },
+                    execute: () => queue.map(respond)
+                };
+                return batch;
+            }
+        },
+        domParser: { parseFromString: () => ({ querySelectorAll: () => [] }) },
+        Type: { Feed: { Mixed: 'MIXED', Videos: 'VIDEOS' }, Order: { Chronological: 'CHRONOLOGICAL' }, Chapter: { NORMAL: 0 } },
+        ScriptException: class ScriptException extends Error {
+            constructor(type, message) {
+                super(message ?? type);
+            }
+        },
+        VideoPager: Pager,
+        ContentPager: Pager,
+        CommentPager: Pager,
+        ChannelPager: Pager,
+        PlaybackTracker: class {},
+        calls
+    };
+
+    [
+        'PlatformID', 'PlatformAuthorLink', 'PlatformPlaylist', 'PlatformPlaylistDetails', 'PlatformVideo',
+        'PlatformVideoDetails', 'PlatformChannel', 'Thumbnails', 'Thumbnail', 'AudioUrlSource',
+        'UnMuxVideoSourceDescriptor', 'ResultCapabilities', 'FilterGroup', 'FilterCapability', 'Comment',
+        'RatingLikes', 'RatingScaler'
+    ].forEach(name => sandbox[name] = platformClass(name));
+
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'LibriVoxScript.js'), 'utf8'), sandbox, { filename: 'LibriVoxScript.js' });
+
+    const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'LibriVoxConfig.json'), 'utf8'));
+    sandbox.source.enable(config, settings, '');
+
+    return sandbox;
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./harness');
+
+const script = loadScript();
+
+const book = (id, title, authorId, textSource = '') => ({
+    id,
+    title,
+    authors: [{ id: authorId }],
+    url_text_source: textSource
+});
+
+test('normalizeWorkTitle drops version markers and leading articles', () => {
+    assert.strictEqual(script.normalizeWorkTitle('The Raven (version 3)'), 'raven');
+    assert.strictEqual(script.normalizeWorkTitle('Raven, The'), 'raven');
+    assert.strictEqual(script.normalizeWorkTitle('Pride and Prejudice (Dramatic Reading)'), 'pride and prejudice');
+    assert.strictEqual(script.normalizeWorkTitle('Les Misérables, Version 2'), 'les miserables');
+});
+
+test('getWorkKeys pairs the normalised title with the author and with the text source', () => {
+    assert.deepStrictEqual(
+        Array.from(script.getWorkKeys(book('1', 'The Raven', '9', 'https://www.gutenberg.org/ebooks/17192/'))),
+        ['title:9:raven', 'text:gutenberg.org/ebooks/17192:raven']
+    );
+    assert.strictEqual(script.getWorkKeys(book('2', '', '9', 'https://www.gutenberg.org/ebooks/17192/')).length, 0);
+});
+
+test('isSameWork matches versions of a work but not other works sharing a text source', () => {
+    const raven = book('1', 'The Raven', '9', 'http://gutenberg.org/1');
+
+    assert.ok(script.isSameWork(raven, book('2', 'The Raven (version 2)', '9')));
+    assert.ok(script.isSameWork(raven, book('3', 'Raven, The', '10', 'https://gutenberg.org/1/')));
+    assert.ok(!script.isSameWork(raven, book('4', 'Poems', '9', 'https://gutenberg.org/1/')));
+    assert.ok(!script.isSameWork(raven, book('5', 'Another Anthology Piece', '10', 'http://gutenberg.org/1')));
+});
+
+test('collapseVersions keeps the volumes of a work sharing one e-text apart', () => {
+    const volumes = ['1', '2', '3'].map(volume => book(volume, `Les Misérables Vol. ${volume}`, '9', 'https://www.gutenberg.org/ebooks/135'));
+
+    assert.deepStrictEqual(Array.from(script.collapseVersions(volumes), entry => entry.id), ['1', '2', '3']);
+});
+
+test('collapseVersions keeps the first recording of a work and counts the others', () => {
+    const seenWorks = {};
+    const firstPage = script.collapseVersions([
+        book('1', 'The Raven', '9'),
+        book('2', 'Annabel Lee', '9'),
+        book('3', 'Raven, The (version 2)', '9')
+    ], seenWorks);
+
+    assert.deepStrictEqual(Array.from(firstPage, entry => [entry.id, entry.version_count]), [['1', 2], ['2', 1]]);
+
+    // Works listed on an earlier page are dropped
+    const secondPage = script.collapseVersions([book('4', 'The Raven (version 3)', '9'), book('5', 'Eldorado', '9')], seenWorks);
+    assert.deepStrictEqual(Array.from(secondPage, entry => entry.id), ['5']);
+});